@@ -1,44 +1,129 @@
 // src/StormiDB.js
 
-const { query } = require("express");
+const StorageAdapter = require('./storage/StorageAdapter');
+const { isUpdateDocument, applyUpdate } = require('./query/UpdateOperators');
 
 class StormiDB {
   constructor(storage) {
+    // Any object implementing the StorageAdapter contract is accepted
+    const missing = StorageAdapter.REQUIRED_METHODS.filter(method => typeof (storage && storage[method]) !== 'function');
+    if (missing.length > 0) {
+      throw new TypeError(`Storage is missing required methods: ${missing.join(', ')}.`);
+    }
     this.storage = storage;
   }
   
   async create(collection, data, id = null) {
-    return this.storage.create(collection,data);
+    return this.storage.create(collection, data, id || undefined);
   }
 
   async find(collection, query, options = {}) {
     return this.storage.find(collection, query, options);
   }
 
-  async findById(collection, id) {
-    return this.storage.read(collection, id);
+  iterate(collection, query, options = {}) {
+    if (typeof this.storage.iterate !== 'function') {
+      throw new Error('The storage backend does not support iterate().');
+    }
+    return this.storage.iterate(collection, query, options);
+  }
+
+  findStream(collection, query, options = {}) {
+    if (typeof this.storage.findStream !== 'function') {
+      throw new Error('The storage backend does not support findStream().');
+    }
+    return this.storage.findStream(collection, query, options);
+  }
+
+  async findPage(collection, query, options = {}) {
+    if (typeof this.storage.findPage !== 'function') {
+      throw new Error('The storage backend does not support findPage().');
+    }
+    return this.storage.findPage(collection, query, options);
+  }
+
+  async aggregate(collection, pipeline, options = {}) {
+    if (typeof this.storage.aggregate !== 'function') {
+      throw new Error('The storage backend does not support aggregate().');
+    }
+    return this.storage.aggregate(collection, pipeline, options);
+  }
+
+  aggregateStream(collection, pipeline, options = {}) {
+    if (typeof this.storage.aggregateStream !== 'function') {
+      throw new Error('The storage backend does not support aggregateStream().');
+    }
+    return this.storage.aggregateStream(collection, pipeline, options);
+  }
+
+  async insertMany(collection, documents, options = {}) {
+    if (typeof this.storage.insertMany !== 'function') {
+      throw new Error('The storage backend does not support insertMany().');
+    }
+    return this.storage.insertMany(collection, documents, options);
+  }
+
+  async updateMany(collection, query, update, options = {}) {
+    if (typeof this.storage.updateMany !== 'function') {
+      throw new Error('The storage backend does not support updateMany().');
+    }
+    return this.storage.updateMany(collection, query, update, options);
+  }
+
+  async deleteMany(collection, query, options = {}) {
+    if (typeof this.storage.deleteMany !== 'function') {
+      throw new Error('The storage backend does not support deleteMany().');
+    }
+    return this.storage.deleteMany(collection, query, options);
+  }
+
+  async bulkWrite(collection, operations, options = {}) {
+    if (typeof this.storage.bulkWrite !== 'function') {
+      throw new Error('The storage backend does not support bulkWrite().');
+    }
+    return this.storage.bulkWrite(collection, operations, options);
+  }
+
+  async explain(collection, query, options = {}) {
+    if (typeof this.storage.explain !== 'function') {
+      throw new Error('The storage backend does not support explain().');
+    }
+    return this.storage.explain(collection, query, options);
+  }
+
+  async findById(collection, id, options = {}) {
+    return this.storage.read(collection, id, options);
   }
   
-  async findOne(collection, query) {
-    const results = await this.storage.find(collection, query, { limit: 1 });
+  async findOne(collection, query, options = {}) {
+    const results = await this.storage.find(collection, query, { ...options, limit: 1 });
     return results[0] || null;
   }
 
   async update(collection, id, data, options = {}) {
-    if (options.upsert) {
+    const { upsert, ...updateOptions } = options;
+    if (upsert) {
       const exists = await this.storage.read(collection, id);
       if (exists) {
-        return this.storage.update(collection, id, data);
+        return this.storage.update(collection, id, data, updateOptions);
       } else {
-        return this.storage.create(collection, data, id);
+        // Update operators apply to an empty document
+        return this.storage.create(collection, isUpdateDocument(data) ? applyUpdate({}, data) : data, id);
       }
     } else {
-      return this.storage.update(collection, id, data);
+      return this.storage.update(collection, id, data, updateOptions);
+    }
+  }
+
+  async updateWithRetry(collection, id, updater, options = {}) {
+    if (typeof this.storage.updateWithRetry !== 'function') {
+      throw new Error('The storage backend does not support updateWithRetry().');
     }
+    return this.storage.updateWithRetry(collection, id, updater, options);
   }
 
-  async delete(collection, id) {
-    return this.storage.delete(collection, id);
+  async delete(collection, id, options = {}) {
+    return this.storage.delete(collection, id, options);
   }
 
   async createIndex(collection, field, options = {}) {
@@ -49,6 +134,34 @@ class StormiDB {
     return this.storage.dropCollection(collection);
   }
 
+  async rebuildIndexes(collection, options = {}) {
+    if (typeof this.storage.rebuildIndexes !== 'function') {
+      throw new Error('The storage backend does not support rebuildIndexes().');
+    }
+    return this.storage.rebuildIndexes(collection, options);
+  }
+
+  async listIndexes(collection) {
+    if (typeof this.storage.listIndexes !== 'function') {
+      throw new Error('The storage backend does not support listIndexes().');
+    }
+    return this.storage.listIndexes(collection);
+  }
+
+  async dropIndex(collection, name, options = {}) {
+    if (typeof this.storage.dropIndex !== 'function') {
+      throw new Error('The storage backend does not support dropIndex().');
+    }
+    return this.storage.dropIndex(collection, name, options);
+  }
+
+  async cleanupReservations(collection) {
+    if (typeof this.storage.cleanupReservations !== 'function') {
+      throw new Error('The storage backend does not support cleanupReservations().');
+    }
+    return this.storage.cleanupReservations(collection);
+  }
+
   async getCollections() {
     return this.storage.listCollections();
   }
@@ -0,0 +1,31 @@
+// src/errors.js
+
+/**
+ * Thrown when a conditional write fails because the blob changed since it was
+ * read: an update or delete with a stale `ifMatch` version, or a concurrent
+ * change of the index definitions.
+ */
+class ConcurrencyError extends Error {
+  constructor(message, { collection, id } = {}) {
+    super(message);
+    this.name = 'ConcurrencyError';
+    this.collection = collection;
+    this.id = id;
+  }
+}
+
+/**
+ * Thrown by insertMany, updateMany, deleteMany and bulkWrite when some of
+ * their operations failed. `result` holds the same summary a successful call
+ * returns, with the error of every failed operation in its `results`.
+ */
+class BulkWriteError extends Error {
+  constructor(message, result) {
+    super(message);
+    this.name = 'BulkWriteError';
+    this.result = result;
+    this.errors = result.results.filter(item => item.status === 'failed');
+  }
+}
+
+module.exports = { ConcurrencyError, BulkWriteError };
@@ -1,8 +1,19 @@
 // src/index.js
 const StormiDB = require('./StormiDB');
+const StorageAdapter = require('./storage/StorageAdapter');
 const AzureBlobStorage = require('./storage/AzureBlobStorage');
+const S3Storage = require('./storage/S3Storage');
+const MemoryStorage = require('./storage/MemoryStorage');
+const FileSystemStorage = require('./storage/FileSystemStorage');
+const { ConcurrencyError, BulkWriteError } = require('./errors');
 
 module.exports = {
   StormiDB,
-  AzureBlobStorage
+  StorageAdapter,
+  AzureBlobStorage,
+  S3Storage,
+  MemoryStorage,
+  FileSystemStorage,
+  ConcurrencyError,
+  BulkWriteError
 };
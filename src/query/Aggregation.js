@@ -0,0 +1,403 @@
+// src/query/Aggregation.js
+
+const {
+  parseQuery,
+  matchesQuery,
+  resolvePath,
+  parseSort,
+  compareDocuments,
+  compareSortValues,
+  parseProjection,
+  applyProjection,
+  setPath,
+} = require('./QueryParser');
+
+const stageParsers = {
+  $match: parseMatch,
+  $group: parseGroup,
+  $sort: parseSortStage,
+  $limit: parseLimit,
+  $skip: parseSkip,
+  $project: parseProject,
+  $unwind: parseUnwind,
+};
+
+// Each accumulator folds the values of a group: init() starts it, add()
+// takes one value, result() gives the output value
+const accumulators = {
+  $sum: {
+    init: () => 0,
+    add: (total, value) => (typeof value === 'number' ? total + value : total),
+    result: total => total,
+  },
+  $avg: {
+    init: () => ({ total: 0, count: 0 }),
+    add: (state, value) => (typeof value === 'number' ? { total: state.total + value, count: state.count + 1 } : state),
+    result: state => (state.count > 0 ? state.total / state.count : null),
+  },
+  $min: {
+    init: () => undefined,
+    add: (min, value) => (isMissing(value) || (min !== undefined && compareSortValues(value, min) >= 0) ? min : value),
+    result: min => (min === undefined ? null : min),
+  },
+  $max: {
+    init: () => undefined,
+    add: (max, value) => (isMissing(value) || (max !== undefined && compareSortValues(value, max) <= 0) ? max : value),
+    result: max => (max === undefined ? null : max),
+  },
+  $count: {
+    init: () => 0,
+    add: count => count + 1,
+    result: count => count,
+  },
+};
+
+/**
+ * Parses a MongoDB-style aggregation pipeline: an array of stages, each an
+ * object with a single stage operator ($match, $group, $sort, $limit, $skip,
+ * $project or $unwind).
+ *
+ * @returns {Array<object>} The parsed stages, as { stage, ...options }.
+ * @throws On unknown stages, accumulators or malformed stage values.
+ */
+function parsePipeline(pipeline) {
+  if (!Array.isArray(pipeline)) {
+    throw new Error('An aggregation pipeline must be an array of stages');
+  }
+
+  return pipeline.map(stage => {
+    const keys = Object.keys(stage || {});
+    if (keys.length !== 1) {
+      throw new Error('Each aggregation stage must have exactly one stage operator');
+    }
+    const [name] = keys;
+    if (!(name in stageParsers)) {
+      throw new Error(`Unsupported aggregation stage ${name}`);
+    }
+    return { stage: name, ...stageParsers[name](stage[name]) };
+  });
+}
+
+/**
+ * Splits the stages a storage adapter can run as a find from the rest of a
+ * parsed pipeline: the leading $match stages become the query, and a $sort,
+ * $skip and $limit right after them the find options, so that they use the
+ * planner and its indexes.
+ *
+ * @returns {{ query: object, options: { sort?: object, offset?: number, limit?: number }, stages: object[] }}
+ */
+function splitPipeline(stages) {
+  let index = 0;
+  const queries = [];
+  while (index < stages.length && stages[index].stage === '$match') {
+    queries.push(stages[index++].query);
+  }
+
+  const options = {};
+  if (index < stages.length && stages[index].stage === '$sort') {
+    options.sort = stages[index++].sort;
+  }
+
+  let offset = 0;
+  let limit = Infinity;
+  for (; index < stages.length && ['$skip', '$limit'].includes(stages[index].stage); index++) {
+    const { stage, count } = stages[index];
+    if (stage === '$skip') {
+      offset += count;
+      limit = Math.max(0, limit - count);
+    } else {
+      limit = Math.min(limit, count);
+    }
+  }
+  if (offset > 0) {
+    options.offset = offset;
+  }
+  if (Number.isFinite(limit)) {
+    options.limit = limit;
+  }
+
+  // Only the query of the find knows the text index
+  if (stages.slice(index).some(({ stage, structuredQuery }) => stage === '$match' && '$text' in structuredQuery)) {
+    throw new Error('$text is only supported in the first $match stage');
+  }
+
+  const query = queries.length > 1 ? { $and: queries } : queries[0] || {};
+  return { query, options, stages: stages.slice(index) };
+}
+
+/**
+ * Runs parsed stages over an async iterable of documents. Every stage pulls
+ * documents one at a time; only $group and $sort have to see all of their
+ * input before yielding, and they hold one accumulator per group and the
+ * sorted documents respectively.
+ *
+ * @returns {AsyncGenerator<object>}
+ */
+function runPipeline(source, stages) {
+  return stages.reduce((documents, stage, index) => {
+    // A $limit right after a $sort bounds the documents the sort keeps
+    const next = stages[index + 1];
+    const limit = stage.stage === '$sort' && next && next.stage === '$limit' ? next.count : Infinity;
+    return stageRunners[stage.stage](documents, stage, limit);
+  }, source);
+}
+
+const stageRunners = {
+  async *$match(documents, { structuredQuery }) {
+    for await (const doc of documents) {
+      if (matchesQuery(doc, structuredQuery)) {
+        yield doc;
+      }
+    }
+  },
+
+  async *$group(documents, { id, fields }) {
+    const groups = new Map();
+
+    for await (const doc of documents) {
+      const key = evaluate(doc, id);
+      const groupKey = JSON.stringify(key === undefined ? null : key);
+      let group = groups.get(groupKey);
+      if (!group) {
+        group = { id: key === undefined ? null : key, states: fields.map(({ accumulator }) => accumulator.init()) };
+        groups.set(groupKey, group);
+      }
+      fields.forEach(({ accumulator, expression }, index) => {
+        group.states[index] = accumulator.add(group.states[index], evaluate(doc, expression));
+      });
+    }
+
+    for (const group of groups.values()) {
+      const result = { _id: group.id };
+      fields.forEach(({ name, accumulator }, index) => {
+        result[name] = accumulator.result(group.states[index]);
+      });
+      yield result;
+    }
+  },
+
+  async *$sort(documents, { sortSpec }, limit) {
+    const compare = compareDocuments(sortSpec);
+    let results = [];
+
+    for await (const doc of documents) {
+      results.push(doc);
+      // Only the first `limit` documents can come out, see executeFind
+      if (results.length >= 2 * limit) {
+        results = results.sort(compare).slice(0, limit);
+      }
+    }
+    yield* results.sort(compare);
+  },
+
+  async *$limit(documents, { count }) {
+    let index = 0;
+    for await (const doc of documents) {
+      yield doc;
+      if (++index >= count) return;
+    }
+  },
+
+  async *$skip(documents, { count }) {
+    let index = 0;
+    for await (const doc of documents) {
+      if (index++ >= count) {
+        yield doc;
+      }
+    }
+  },
+
+  async *$project(documents, { project }) {
+    for await (const doc of documents) {
+      yield project(doc);
+    }
+  },
+
+  async *$unwind(documents, { path, preserveNullAndEmptyArrays, includeArrayIndex }) {
+    const parts = path.split('.');
+
+    for await (const doc of documents) {
+      const value = parts.reduce((node, part) => (isPlainObject(node) ? node[part] : undefined), doc);
+
+      if (Array.isArray(value) && value.length > 0) {
+        for (const [index, element] of value.entries()) {
+          const unwound = withPath(doc, parts, element);
+          yield includeArrayIndex ? { ...unwound, [includeArrayIndex]: index } : unwound;
+        }
+      } else if (!Array.isArray(value) && !isMissing(value)) {
+        // As in MongoDB, a single value is unwound to itself
+        yield includeArrayIndex ? { ...doc, [includeArrayIndex]: null } : doc;
+      } else if (preserveNullAndEmptyArrays) {
+        yield includeArrayIndex ? { ...doc, [includeArrayIndex]: null } : doc;
+      }
+    }
+  },
+};
+
+function parseMatch(query) {
+  if (!isPlainObject(query)) {
+    throw new Error('$match requires a query object');
+  }
+  return { query, structuredQuery: parseQuery(query) };
+}
+
+function parseGroup(spec) {
+  if (!isPlainObject(spec) || !('_id' in spec)) {
+    throw new Error('$group requires an _id expression');
+  }
+
+  const fields = Object.entries(spec)
+    .filter(([name]) => name !== '_id')
+    .map(([name, value]) => {
+      const operators = isPlainObject(value) ? Object.keys(value) : [];
+      if (operators.length !== 1) {
+        throw new Error(`$group field ${name} requires a single accumulator such as { $sum: '$amount' }`);
+      }
+      const [operator] = operators;
+      if (!(operator in accumulators)) {
+        throw new Error(`Unsupported accumulator ${operator}`);
+      }
+      if (operator === '$count' && !(isPlainObject(value.$count) && Object.keys(value.$count).length === 0)) {
+        throw new Error('$count takes an empty object');
+      }
+      return { name, accumulator: accumulators[operator], expression: value[operator] };
+    });
+
+  return { id: spec._id, fields };
+}
+
+function parseSortStage(sort) {
+  const sortSpec = parseSort(sort);
+  if (sortSpec.length === 0) {
+    throw new Error('$sort requires at least one field');
+  }
+  return { sort, sortSpec };
+}
+
+function parseLimit(count) {
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new Error('$limit requires a positive integer');
+  }
+  return { count };
+}
+
+function parseSkip(count) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error('$skip requires a non-negative integer');
+  }
+  return { count };
+}
+
+// $project keeps (1) or removes (0) fields as a find projection does, and
+// sets computed fields from expressions ({ city: '$address.city' }). As in
+// MongoDB, _id stays unless it is set to 0.
+function parseProject(spec) {
+  if (!isPlainObject(spec)) {
+    throw new Error('$project requires an object');
+  }
+
+  const flags = {};
+  const computed = [];
+  let keepUnderscoreId = true;
+  for (const [path, value] of Object.entries(spec)) {
+    if (path === '_id' && (value === 0 || value === false)) {
+      keepUnderscoreId = false;
+    } else if (typeof value === 'number' || typeof value === 'boolean') {
+      flags[path] = value;
+    } else {
+      computed.push([path, value]);
+    }
+  }
+
+  let projection = parseProjection(flags);
+  if (computed.length > 0) {
+    if (projection && projection.mode === 'exclude' && projection.paths.length > 0) {
+      throw new Error('$project cannot mix excluded and computed fields');
+    }
+    projection = {
+      mode: 'include',
+      paths: projection && projection.mode === 'include' ? projection.paths : [],
+      includeId: !projection || projection.includeId,
+      meta: [],
+    };
+  }
+
+  const project = doc => {
+    let result = { ...applyProjection(doc, projection) };
+    if (projection && projection.mode === 'include' && keepUnderscoreId && doc._id !== undefined) {
+      result = { _id: doc._id, ...result };
+    }
+    if (!keepUnderscoreId) {
+      delete result._id;
+    }
+    for (const [path, expression] of computed) {
+      const value = evaluate(doc, expression);
+      if (value !== undefined) {
+        setPath(result, path, value);
+      }
+    }
+    return result;
+  };
+
+  return { project };
+}
+
+function parseUnwind(spec) {
+  const options = typeof spec === 'string' ? { path: spec } : spec;
+  if (!isPlainObject(options) || typeof options.path !== 'string' || !options.path.startsWith('$')) {
+    throw new Error('$unwind requires a field path such as \'$items\'');
+  }
+  return {
+    path: options.path.substring(1),
+    preserveNullAndEmptyArrays: Boolean(options.preserveNullAndEmptyArrays),
+    includeArrayIndex: options.includeArrayIndex,
+  };
+}
+
+/**
+ * Evaluates an expression against a document: '$path' reads a field (dot
+ * notation, undefined when missing), objects and arrays evaluate each of
+ * their values, and anything else is a literal.
+ */
+function evaluate(doc, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    const values = resolvePath(doc, expression.substring(1));
+    return values.length <= 1 ? values[0] : values;
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(element => evaluate(doc, element));
+  }
+  if (isPlainObject(expression) && !(expression instanceof Date)) {
+    return Object.fromEntries(Object.entries(expression).map(([key, value]) => {
+      if (key.startsWith('$')) {
+        throw new Error(`Unsupported expression operator ${key}`);
+      }
+      return [key, evaluate(doc, value)];
+    }));
+  }
+  return expression;
+}
+
+// A copy of doc with the value at a path replaced, copying the objects along it
+function withPath(doc, parts, value) {
+  if (parts.length === 0) {
+    return value;
+  }
+  const [part, ...rest] = parts;
+  return { ...doc, [part]: withPath(isPlainObject(doc[part]) ? doc[part] : {}, rest, value) };
+}
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = {
+  parsePipeline,
+  splitPipeline,
+  runPipeline,
+  evaluate,
+};
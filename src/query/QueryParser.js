@@ -1,20 +1,18 @@
 // src/query/QueryParser.js
 
-// src/query/QueryParser.js
-
-function operatorToTagCondition(field, condition, storageInstance) {
-  console.log('Field:', field, 'Condition:', JSON.stringify(condition));
+const { isDeepStrictEqual } = require('util');
+const { encodeDateBucket } = require('../storage/tagEncoding');
+const { parseTextSearch, matchesTextSearch } = require('./TextSearch');
 
+// Builds an Azure tag filter condition. Condition values must already be
+// encoded tag values (see StorageAdapter.encodeTagValueForField), so the
+// comparison happens on the same representation the tags were written with.
+function operatorToTagCondition(field, condition) {
   if (!condition || typeof condition !== 'object') {
     console.log(`Invalid condition for field ${field}:`, condition);
     return null;
   }
 
-  // If condition is a direct value (e.g., { city: "New York" })
-  if (!condition.operator) {
-    condition = { operator: Operator.EQ, value: condition };
-  }
-
   const operator = operatorToTagOperator[condition.operator];
 
   if (!operator) {
@@ -22,59 +20,115 @@ function operatorToTagCondition(field, condition, storageInstance) {
     return null;
   }
 
-  // Use storageInstance.encodeTagValueForField to ensure consistent encoding/hashing
-  const encodeValue = (val) => {
-    return storageInstance.encodeTagValueForField(field, val);
-  };
+  // Quotes are escaped by doubling them in tag filter string literals
+  const quote = (val) => `'${String(val).replace(/'/g, "''")}'`;
 
   let value = condition.value;
 
   switch (condition.operator) {
     case Operator.EQ:
-      return `"${field}" = '${encodeValue(value)}'`;
+      return `"${field}" = ${quote(value)}`;
     case Operator.GT:
-      return `"${field}" > '${encodeValue(value)}'`;
+      return `"${field}" > ${quote(value)}`;
     case Operator.LT:
-      return `"${field}" < '${encodeValue(value)}'`;
+      return `"${field}" < ${quote(value)}`;
     case Operator.GTE:
-      return `"${field}" >= '${encodeValue(value)}'`;
+      return `"${field}" >= ${quote(value)}`;
     case Operator.LTE:
-      return `"${field}" <= '${encodeValue(value)}'`;
+      return `"${field}" <= ${quote(value)}`;
     case Operator.BETWEEN:
       if (!Array.isArray(value) || value.length !== 2) {
         console.log(`Invalid value for BETWEEN operator on field ${field}:`, value);
         return null;
       }
-      return `"${field}" > '${encodeValue(value[0])}' AND "${field}" < '${encodeValue(value[1])}'`;
+      return `"${field}" >= ${quote(value[0])} AND "${field}" <= ${quote(value[1])}`;
+    default:
+      console.log(`Unsupported operator ${condition.operator} for field ${field}`);
+      return null;
+  }
+}
+
+// Evaluates a condition against stored tag values for backends that cannot
+// push tag filters down to the server. Mirrors operatorToTagCondition:
+// values are encoded tag values, compared as strings the same way Azure does.
+function tagConditionMatcher(field, condition) {
+  if (!condition || typeof condition !== 'object') {
+    console.log(`Invalid condition for field ${field}:`, condition);
+    return null;
+  }
+
+  const value = condition.value;
+
+  switch (condition.operator) {
+    case Operator.EQ:
+      return (tagValue) => tagValue === value;
+    case Operator.GT:
+      return (tagValue) => tagValue > value;
+    case Operator.LT:
+      return (tagValue) => tagValue < value;
+    case Operator.GTE:
+      return (tagValue) => tagValue >= value;
+    case Operator.LTE:
+      return (tagValue) => tagValue <= value;
+    case Operator.BETWEEN:
+      if (!Array.isArray(value) || value.length !== 2) {
+        console.log(`Invalid value for BETWEEN operator on field ${field}:`, value);
+        return null;
+      }
+      return (tagValue) => tagValue >= value[0] && tagValue <= value[1];
     default:
       console.log(`Unsupported operator ${condition.operator} for field ${field}`);
       return null;
   }
 }
 
-// Remove IN and NIN from Operator and operatorMap
 const Operator = {
   EQ: 'EQ',
+  NE: 'NE',
   GT: 'GT',
   LT: 'LT',
   GTE: 'GTE',
   LTE: 'LTE',
   BETWEEN: 'BETWEEN',
+  BUCKET: 'BUCKET',
+  TEXT: 'TEXT',
+  IN: 'IN',
+  NIN: 'NIN',
+  NOT: 'NOT',
+  EXISTS: 'EXISTS',
+  TYPE: 'TYPE',
+  REGEX: 'REGEX',
+  SIZE: 'SIZE',
+  ALL: 'ALL',
+  ELEM_MATCH: 'ELEM_MATCH',
+  AND: 'AND',
+  OR: 'OR',
 };
 
 const operatorMap = {
   $eq: Operator.EQ,
+  $ne: Operator.NE,
   $gt: Operator.GT,
   $lt: Operator.LT,
   $gte: Operator.GTE,
   $lte: Operator.LTE,
   $between: Operator.BETWEEN,
+  $bucket: Operator.BUCKET,
+  $in: Operator.IN,
+  $nin: Operator.NIN,
+  $not: Operator.NOT,
+  $exists: Operator.EXISTS,
+  $type: Operator.TYPE,
+  $regex: Operator.REGEX,
+  $size: Operator.SIZE,
+  $all: Operator.ALL,
+  $elemMatch: Operator.ELEM_MATCH,
 };
 
-module.exports = {
-  Operator,
-  parseQuery,
-  operatorToTagCondition,
+// Operators that combine whole queries, used as top-level keys
+const logicalOperatorMap = {
+  $and: Operator.AND,
+  $or: Operator.OR,
 };
 
 const operatorToTagOperator = {
@@ -83,52 +137,660 @@ const operatorToTagOperator = {
   [Operator.LT]: '<',
   [Operator.GTE]: '>=',
   [Operator.LTE]: '<=',
-  [Operator.IN]: 'IN',
   [Operator.BETWEEN]: 'BETWEEN',
-  // Note: Azure Blob Storage doesn't support NIN directly
+  // Note: Azure Blob Storage tag filters only support AND, so $in is run as
+  // one query per value (see StorageAdapter.splitQuery)
 };
 
-const { encodeTagValue, hashTagValue } = require('../storage/tagEncoding');
+// $type accepts MongoDB type names, aliases and numeric codes. Documents come
+// back from storage as JSON, so ISO 8601 strings also count as dates.
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const typeMatchers = {
+  double: (value) => typeof value === 'number',
+  number: (value) => typeof value === 'number',
+  decimal: (value) => typeof value === 'number',
+  int: (value) => Number.isInteger(value),
+  long: (value) => Number.isInteger(value),
+  string: (value) => typeof value === 'string',
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date),
+  array: (value) => Array.isArray(value),
+  bool: (value) => typeof value === 'boolean',
+  boolean: (value) => typeof value === 'boolean',
+  null: (value) => value === null,
+  date: (value) => value instanceof Date || (typeof value === 'string' && ISO_DATE_PATTERN.test(value)),
+};
 
+const typeCodes = {
+  1: 'double',
+  2: 'string',
+  3: 'object',
+  4: 'array',
+  8: 'bool',
+  9: 'date',
+  10: 'null',
+  16: 'int',
+  18: 'long',
+  19: 'decimal',
+};
+
+/**
+ * Parses a MongoDB-style query into a structured query: an object mapping each
+ * field (a dot-notation path such as 'address.city') to a condition
+ * `{ operator, value }` or an array of conditions that must all hold. `$and` and `$or` are kept under their own key with an array
+ * of structured sub-queries as value, and `$text` under its own key with the parsed search
+ * (see TextSearch.parseTextSearch) as value.
+ *
+ * @throws On unknown operators or malformed operator values.
+ */
 function parseQuery(query) {
   const structuredQuery = {};
 
-  for (const [field, condition] of Object.entries(query)) {
-    if (typeof condition === 'object' && condition !== null && !Array.isArray(condition)) {
-      const parsedConditions = [];
+  for (const [field, condition] of Object.entries(query || {})) {
+    if (field === '$text') {
+      structuredQuery[field] = parseText(condition);
+    } else if (field.startsWith('$')) {
+      structuredQuery[field] = parseLogicalOperator(field, condition);
+    } else {
+      structuredQuery[field] = parseFieldCondition(condition);
+    }
+  }
+
+  return structuredQuery;
+}
+
+function parseLogicalOperator(op, value) {
+  if (!(op in logicalOperatorMap)) {
+    throw new Error(`Unsupported query operator ${op}`);
+  }
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error(`${op} requires a non-empty array of queries`);
+  }
+
+  return {
+    operator: logicalOperatorMap[op],
+    value: value.map(subQuery => parseQuery(subQuery)),
+  };
+}
+
+function parseText(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('$text requires an object with a $search string');
+  }
+  for (const option of Object.keys(value)) {
+    if (option !== '$search') {
+      throw new Error(`Unsupported $text option ${option}`);
+    }
+  }
+  return { operator: Operator.TEXT, value: parseTextSearch(value.$search) };
+}
 
-      for (const [op, value] of Object.entries(condition)) {
-        if (op in operatorMap) {
-          parsedConditions.push({
-            operator: operatorMap[op],
-            value: value,
-          });
+function isOperatorObject(condition) {
+  return typeof condition === 'object' &&
+    condition !== null &&
+    !Array.isArray(condition) &&
+    !(condition instanceof Date) &&
+    !(condition instanceof RegExp) &&
+    Object.keys(condition).some(key => key.startsWith('$'));
+}
+
+function parseFieldCondition(condition) {
+  if (condition instanceof RegExp) {
+    return { operator: Operator.REGEX, value: toRegExp(condition) };
+  }
+  if (!isOperatorObject(condition)) {
+    return { operator: Operator.EQ, value: condition };
+  }
+  return parseOperators(condition);
+}
+
+function parseOperators(condition) {
+  const parsedConditions = [];
+
+  for (const [op, value] of Object.entries(condition)) {
+    if (op === '$options') {
+      continue; // Read together with $regex
+    }
+    if (!(op in operatorMap)) {
+      throw new Error(`Unsupported query operator ${op}`);
+    }
+
+    const operator = operatorMap[op];
+
+    switch (operator) {
+      case Operator.IN:
+      case Operator.NIN:
+        if (!Array.isArray(value)) {
+          throw new Error(`${op} requires an array`);
+        }
+        parsedConditions.push({ operator, value: value.map(v => (v instanceof RegExp ? toRegExp(v) : v)) });
+        break;
+      case Operator.REGEX:
+        parsedConditions.push({ operator, value: toRegExp(value, condition.$options) });
+        break;
+      case Operator.NOT:
+        if (value instanceof RegExp) {
+          parsedConditions.push({ operator, value: [{ operator: Operator.REGEX, value: toRegExp(value) }] });
+        } else if (isOperatorObject(value)) {
+          parsedConditions.push({ operator, value: parseOperators(value) });
+        } else {
+          throw new Error('$not requires an operator expression or a regular expression');
+        }
+        break;
+      case Operator.SIZE:
+        if (!Number.isInteger(value) || value < 0) {
+          throw new Error('$size requires a non-negative integer');
         }
+        parsedConditions.push({ operator, value });
+        break;
+      case Operator.ALL:
+        if (!Array.isArray(value)) {
+          throw new Error('$all requires an array');
+        }
+        parsedConditions.push({ operator, value: value.map(v => (v instanceof RegExp ? toRegExp(v) : v)) });
+        break;
+      case Operator.ELEM_MATCH:
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+          throw new Error('$elemMatch requires an object');
+        }
+        // Either operators applied to each element ({ $gte: 80 }) or a query
+        // on the fields of each element ({ score: { $gte: 80 } })
+        parsedConditions.push({
+          operator,
+          value: Object.keys(value).every(key => key in operatorMap)
+            ? { conditions: parseOperators(value) }
+            : { query: parseQuery(value) },
+        });
+        break;
+      case Operator.TYPE: {
+        const types = (Array.isArray(value) ? value : [value]).map(type => {
+          const name = typeof type === 'number' ? typeCodes[type] : type;
+          if (!(name in typeMatchers)) {
+            throw new Error(`Unsupported $type ${JSON.stringify(type)}`);
+          }
+          return name;
+        });
+        parsedConditions.push({ operator, value: types });
+        break;
+      }
+      default:
+        parsedConditions.push({ operator, value });
+    }
+  }
+
+  return parsedConditions;
+}
+
+// Global and sticky flags make RegExp.test stateful, so they are dropped
+function toRegExp(pattern, options = '') {
+  if (pattern instanceof RegExp) {
+    const flags = (pattern.flags + (options || '')).replace(/[gy]/g, '');
+    return new RegExp(pattern.source, Array.from(new Set(flags)).join(''));
+  }
+  if (typeof pattern !== 'string') {
+    throw new Error('$regex requires a string or a regular expression');
+  }
+  return new RegExp(pattern, (options || '').replace(/[gy]/g, ''));
+}
+
+// Dates are stored as ISO strings, so query dates are compared in that form
+function normalizeValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object' && value !== null) {
+    return JSON.parse(JSON.stringify(value));
+  }
+  return value;
+}
+
+function valuesEqual(docValue, value) {
+  // As in MongoDB, null matches both null and missing fields
+  if (value === null || value === undefined) {
+    return docValue === null || docValue === undefined;
+  }
+  return isDeepStrictEqual(normalizeValue(docValue), normalizeValue(value));
+}
+
+// Range comparisons only hold between values of the same type (numbers with
+// numbers, strings and dates with strings and dates); anything else never matches.
+function compareValues(docValue, value, predicate) {
+  const a = normalizeValue(docValue);
+  const b = normalizeValue(value);
+
+  if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) {
+    return false;
+  }
+
+  return predicate(a < b ? -1 : a > b ? 1 : 0);
+}
+
+// Compares a single value, as stored in the document, with a condition
+function matchesScalar(docValue, condition) {
+  const { operator, value } = condition;
+
+  switch (operator) {
+    case Operator.EQ:
+      return valuesEqual(docValue, value);
+    case Operator.GT:
+      return compareValues(docValue, value, c => c > 0);
+    case Operator.LT:
+      return compareValues(docValue, value, c => c < 0);
+    case Operator.GTE:
+      return compareValues(docValue, value, c => c >= 0);
+    case Operator.LTE:
+      return compareValues(docValue, value, c => c <= 0);
+    case Operator.BETWEEN:
+      return Array.isArray(value) &&
+        value.length === 2 &&
+        compareValues(docValue, value[0], c => c >= 0) &&
+        compareValues(docValue, value[1], c => c <= 0);
+    case Operator.IN:
+      return value.some(v => (v instanceof RegExp
+        ? matchesScalar(docValue, { operator: Operator.REGEX, value: v })
+        : valuesEqual(docValue, v)));
+    case Operator.BUCKET:
+      // value is resolved against the date index by StorageAdapter.planQuery
+      return Boolean(value && value.granularity) &&
+        encodeDateBucket(docValue, value.granularity, value.timeZone) === value.bucket;
+    case Operator.TYPE:
+      return value.some(type => typeMatchers[type](docValue));
+    case Operator.REGEX:
+      return typeof docValue === 'string' && value.test(docValue);
+    default:
+      console.log(`Unsupported operator ${operator} for in-memory filtering`);
+      return false;
+  }
+}
+
+// Evaluates a condition against the values found at a path (see resolvePath).
+// As in MongoDB, a condition matches an array if it matches the array itself
+// or any of its elements, and negations ($ne, $nin, $not) negate that.
+function matchesValue(values, condition) {
+  const { operator, value } = condition;
+
+  switch (operator) {
+    case Operator.NE:
+      return !matchesValue(values, { operator: Operator.EQ, value });
+    case Operator.NIN:
+      return !matchesValue(values, { operator: Operator.IN, value });
+    case Operator.NOT:
+      return !value.every(subCondition => matchesValue(values, subCondition));
+    case Operator.EXISTS:
+      return (values.length > 0) === Boolean(value);
+    case Operator.SIZE:
+      return values.some(v => Array.isArray(v) && v.length === value);
+    case Operator.ALL:
+      return value.length > 0 && value.every(v => matchesValue(values, v instanceof RegExp
+        ? { operator: Operator.REGEX, value: v }
+        : { operator: Operator.EQ, value: v }));
+    case Operator.ELEM_MATCH:
+      return values.some(v => Array.isArray(v) && v.some(element => matchesElement(element, value)));
+    case Operator.EQ:
+    case Operator.IN:
+      // null matches missing fields
+      if (values.length === 0) {
+        return operator === Operator.EQ
+          ? value === null || value === undefined
+          : value.some(v => v === null);
       }
+      break;
+  }
 
-      if (parsedConditions.length > 0) {
-        structuredQuery[field] = parsedConditions;
+  return values.some(v => matchesScalar(v, condition) ||
+    (Array.isArray(v) && v.some(element => matchesScalar(element, condition))));
+}
+
+function matchesElement(element, elemMatch) {
+  if (elemMatch.conditions) {
+    return elemMatch.conditions.every(condition => matchesValue([element], condition));
+  }
+  return typeof element === 'object' && element !== null && !Array.isArray(element) &&
+    matchesQuery(element, elemMatch.query);
+}
+
+/**
+ * Returns the values found at a dot-notation path. Arrays along the path fan
+ * out: 'addresses.city' yields the city of every element of addresses, and a
+ * numeric part ('addresses.0.city') selects one element. Missing values are
+ * left out, so a missing path yields an empty array.
+ *
+ * @returns {Array<*>}
+ */
+function resolvePath(doc, path) {
+  return lookupPath(doc, path.split('.'));
+}
+
+function lookupPath(value, parts) {
+  if (value === undefined) {
+    return [];
+  }
+  if (parts.length === 0) {
+    return [value];
+  }
+
+  const [part, ...rest] = parts;
+
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(part)) {
+      return lookupPath(value[Number(part)], rest);
+    }
+    return value.flatMap(element => (typeof element === 'object' && element !== null && !Array.isArray(element)
+      ? lookupPath(element, parts)
+      : []));
+  }
+  if (typeof value === 'object' && value !== null) {
+    return lookupPath(value[part], rest);
+  }
+  return [];
+}
+
+function matchesCondition(doc, field, condition) {
+  switch (condition.operator) {
+    case Operator.AND:
+      return condition.value.every(subQuery => matchesQuery(doc, subQuery));
+    case Operator.OR:
+      return condition.value.some(subQuery => matchesQuery(doc, subQuery));
+    case Operator.TEXT:
+      // fields are resolved against the text index by StorageAdapter.planQuery
+      return Boolean(condition.value.fields) &&
+        matchesTextSearch(condition.value.fields.map(path => resolvePath(doc, path)), condition.value);
+    default:
+      return matchesValue(resolvePath(doc, field), condition);
+  }
+}
+
+// Evaluates a structured query against a single document
+function matchesQuery(doc, structuredQuery) {
+  for (const [field, conditions] of Object.entries(structuredQuery)) {
+    const conditionArray = Array.isArray(conditions) ? conditions : [conditions];
+
+    for (const condition of conditionArray) {
+      if (!matchesCondition(doc, field, condition)) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function applyInMemoryFilter(docs, structuredQuery) {
+  return docs.filter(doc => matchesQuery(doc, structuredQuery));
+}
+
+/**
+ * Parses a MongoDB-style sort specification such as { age: -1, 'name.last': 1 }.
+ * Directions are 1 / -1, or 'asc' / 'desc'. { score: { $meta: 'textScore' } }
+ * sorts by the relevance of a $text query, best first.
+ *
+ * @returns {Array<{ path: string, direction: number, meta?: string }>} Empty when sort is not given.
+ */
+function parseSort(sort) {
+  if (sort === undefined || sort === null) {
+    return [];
+  }
+  if (typeof sort !== 'object' || Array.isArray(sort)) {
+    throw new Error('sort must be an object mapping fields to 1 or -1');
+  }
+
+  return Object.entries(sort).map(([path, direction]) => {
+    if (isTextScoreMeta(direction)) {
+      return { path, direction: -1, meta: 'textScore' };
+    }
+    const normalized = sortDirections[typeof direction === 'string' ? direction.toLowerCase() : direction];
+    if (!normalized) {
+      throw new Error(`Invalid sort direction for ${path}: ${JSON.stringify(direction)}`);
+    }
+    return { path, direction: normalized };
+  });
+}
+
+// { $meta: 'textScore' }, in a sort or a projection
+function isTextScoreMeta(value) {
+  if (!isPlainObject(value) || !('$meta' in value)) {
+    return false;
+  }
+  if (value.$meta !== 'textScore') {
+    throw new Error(`Unsupported $meta ${JSON.stringify(value.$meta)}`);
+  }
+  return true;
+}
+
+// The relevance of a document for a $text query, attached by the storage
+// adapter as the hidden _score property
+function textScoreOf(doc) {
+  return doc._score === undefined ? null : doc._score;
+}
+
+const sortDirections = {
+  1: 1,
+  '-1': -1,
+  asc: 1,
+  ascending: 1,
+  desc: -1,
+  descending: -1,
+};
+
+// Sort order across types, following MongoDB: missing and null first, then
+// numbers, strings (dates are stored as ISO strings, so they sort
+// chronologically), objects, arrays and booleans
+function sortTypeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string' || value instanceof Date) return 2;
+  if (Array.isArray(value)) return 4;
+  if (typeof value === 'object') return 3;
+  if (typeof value === 'boolean') return 5;
+  return 6;
+}
+
+function compareSortValues(a, b) {
+  const rankA = sortTypeRank(a);
+  const rankB = sortTypeRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+
+  a = normalizeValue(a);
+  b = normalizeValue(b);
+  if (typeof a === 'object' && a !== null) {
+    a = JSON.stringify(a);
+    b = JSON.stringify(b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// The value a document sorts by on a path. Arrays sort by their smallest
+// element ascending and by their largest element descending.
+function sortKey(doc, path, direction) {
+  const values = resolvePath(doc, path).flatMap(value => (Array.isArray(value) ? value : [value]));
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce((best, value) => (compareSortValues(value, best) * direction < 0 ? value : best));
+}
+
+// The values a document sorts by, one per entry of the sort specification
+function sortKeys(doc, sortSpec) {
+  return sortSpec.map(({ path, direction, meta }) => (meta ? textScoreOf(doc) : sortKey(doc, path, direction)));
+}
+
+// Compares the sortKeys of two documents
+function compareSortKeys(sortSpec) {
+  return (keysA, keysB) => {
+    for (const [index, { direction }] of sortSpec.entries()) {
+      const result = compareSortValues(keysA[index], keysB[index]);
+      if (result !== 0) {
+        return result * direction;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Returns a comparator ordering documents by a parsed sort specification.
+ * Ties compare equal, so a stable sort keeps them in listing order.
+ */
+function compareDocuments(sortSpec) {
+  const compare = compareSortKeys(sortSpec);
+  return (docA, docB) => compare(sortKeys(docA, sortSpec), sortKeys(docB, sortSpec));
+}
+
+/**
+ * Parses a MongoDB-style projection: { a: 1, 'b.c': 1 } keeps only the listed
+ * paths, { a: 0 } removes them. The two cannot be mixed, except that `id` is
+ * kept unless the projection has { id: 0 }. { score: { $meta: 'textScore' } }
+ * adds the relevance of a $text query as the score field, in either mode.
+ *
+ * @returns {{ mode: 'include'|'exclude', paths: string[], includeId: boolean, meta: string[] }|null}
+ *   null when there is nothing to project. meta lists the paths receiving the score.
+ */
+function parseProjection(projection) {
+  if (projection === undefined || projection === null) {
+    return null;
+  }
+  if (typeof projection !== 'object' || Array.isArray(projection)) {
+    throw new Error('projection must be an object mapping fields to 1 or 0');
+  }
+
+  let includeId = true;
+  const included = [];
+  const excluded = [];
+  const meta = [];
+
+  for (const [path, flag] of Object.entries(projection)) {
+    if (isTextScoreMeta(flag)) {
+      meta.push(path);
+      continue;
+    }
+    if (path === 'id') {
+      includeId = Boolean(flag);
+      continue;
+    }
+    (flag ? included : excluded).push(path);
+  }
+
+  if (included.length > 0 && excluded.length > 0) {
+    throw new Error('projection cannot mix included and excluded fields');
+  }
+
+  if (included.length > 0) {
+    return { mode: 'include', paths: included, includeId, meta };
+  }
+  if (excluded.length === 0 && includeId && meta.length === 0) {
+    return null; // Empty projection: whole documents
+  }
+  return { mode: 'exclude', paths: excluded, includeId, meta };
+}
+
+// Turns paths into a tree: ['a', 'b.c', 'b.d'] -> { a: true, b: { c: true, d: true } }
+function pathTree(paths) {
+  const tree = {};
+  for (const path of paths) {
+    const parts = path.split('.');
+    let node = tree;
+    for (const [index, part] of parts.entries()) {
+      if (node[part] === true) break; // A parent path is already complete
+      if (index === parts.length - 1) {
+        node[part] = true;
       } else {
-        structuredQuery[field] = {
-          operator: Operator.EQ,
-          value: condition,
-        };
+        node = node[part] = node[part] || {};
       }
-    } else {
-      structuredQuery[field] = {
-        operator: Operator.EQ,
-        value: condition,
-      };
     }
   }
+  return tree;
+}
 
-  return structuredQuery;
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function includeTree(value, tree) {
+  if (Array.isArray(value)) {
+    return value.filter(isPlainObject).map(element => includeTree(element, tree));
+  }
+
+  const result = {};
+  for (const [key, subTree] of Object.entries(tree)) {
+    if (value[key] === undefined) continue;
+    if (subTree === true) {
+      result[key] = value[key];
+    } else if (isPlainObject(value[key]) || Array.isArray(value[key])) {
+      result[key] = includeTree(value[key], subTree);
+    }
+  }
+  return result;
+}
+
+function excludeTree(value, tree) {
+  if (Array.isArray(value)) {
+    return value.map(element => (isPlainObject(element) ? excludeTree(element, tree) : element));
+  }
+
+  const result = { ...value };
+  for (const [key, subTree] of Object.entries(tree)) {
+    if (subTree === true) {
+      delete result[key];
+    } else if (isPlainObject(result[key]) || Array.isArray(result[key])) {
+      result[key] = excludeTree(result[key], subTree);
+    }
+  }
+  return result;
 }
 
+/**
+ * Applies a projection from parseProjection to a document. Paths crossing
+ * arrays apply to every element, as in MongoDB.
+ */
+function applyProjection(doc, projection) {
+  if (!projection || !doc) {
+    return doc;
+  }
 
+  const projected = projection.mode === 'include'
+    ? includeTree(doc, pathTree(projection.paths))
+    : excludeTree(doc, pathTree(projection.paths));
+  for (const path of projection.meta || []) {
+    if (doc._score !== undefined) {
+      setPath(projected, path, doc._score);
+    }
+  }
+
+  if (projection.includeId && doc.id !== undefined) {
+    return { id: doc.id, ...projected };
+  }
+  delete projected.id;
+  return projected;
+}
+
+// Sets a dot-notation path, creating intermediate objects
+function setPath(doc, path, value) {
+  const parts = path.split('.');
+  let node = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) {
+      node[part] = {};
+    }
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
 
 module.exports = {
   Operator,
   parseQuery,
   operatorToTagCondition,
-};
\ No newline at end of file
+  tagConditionMatcher,
+  matchesQuery,
+  applyInMemoryFilter,
+  resolvePath,
+  parseSort,
+  sortKeys,
+  compareSortKeys,
+  compareSortValues,
+  compareDocuments,
+  parseProjection,
+  applyProjection,
+  setPath,
+};
@@ -0,0 +1,196 @@
+// src/query/TextSearch.js
+
+// Words too common to be worth indexing or searching for
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'if', 'in', 'into',
+  'is', 'it', 'its', 'no', 'not', 'of', 'on', 'or', 'so', 'such', 'that', 'the', 'their',
+  'then', 'there', 'these', 'they', 'this', 'to', 'was', 'will', 'with',
+]);
+
+/**
+ * Splits a text into the terms a text index holds: words are lowercased,
+ * stripped of diacritics and stemmed, and stop words are left out. Terms come
+ * in text order, with repetitions.
+ *
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  const words = text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(word => !STOP_WORDS.has(word)).map(stem);
+}
+
+// The terms of every string at the given values, arrays included
+function tokenizeValues(values) {
+  return values.flatMap(value => (Array.isArray(value) ? tokenizeValues(value) : tokenize(value)));
+}
+
+/**
+ * Reduces an English word to its stem with the first step of Porter's
+ * algorithm, which removes plurals and -ed / -ing endings: "shirts" and
+ * "shirt", "running" and "run" share a stem. Other words are kept as they are.
+ */
+function stem(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  // Plurals
+  if (word.endsWith('sses') || word.endsWith('ies')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('s') && !word.endsWith('ss')) {
+    word = word.slice(0, -1);
+  }
+
+  // Past participles and gerunds
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) {
+      word = word.slice(0, -1);
+    }
+  } else {
+    const suffix = ['ed', 'ing'].find(ending => word.endsWith(ending) && hasVowel(word.slice(0, -ending.length)));
+    if (suffix) {
+      word = word.slice(0, -suffix.length);
+      if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+        word += 'e';
+      } else if (endsWithDoubleConsonant(word) && !/[lsz]$/.test(word)) {
+        word = word.slice(0, -1);
+      } else if (measure(word) === 1 && endsWithCvc(word)) {
+        word += 'e';
+      }
+    }
+  }
+
+  // Final y after a vowel-containing stem
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = `${word.slice(0, -1)}i`;
+  }
+
+  return word;
+}
+
+function isConsonant(word, index) {
+  const char = word[index];
+  if ('aeiou'.includes(char)) {
+    return false;
+  }
+  return char !== 'y' || index === 0 || !isConsonant(word, index - 1);
+}
+
+// Number of vowel-consonant sequences in a word
+function measure(word) {
+  let count = 0;
+  for (let index = 1; index < word.length; index++) {
+    if (isConsonant(word, index) && !isConsonant(word, index - 1)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+function hasVowel(word) {
+  return Array.from(word).some((char, index) => !isConsonant(word, index));
+}
+
+function endsWithDoubleConsonant(word) {
+  const last = word.length - 1;
+  return last > 0 && word[last] === word[last - 1] && isConsonant(word, last);
+}
+
+// Consonant, vowel, consonant other than w, x or y: "hop" from "hoping"
+function endsWithCvc(word) {
+  const last = word.length - 1;
+  return last >= 2 &&
+    isConsonant(word, last - 2) && !isConsonant(word, last - 1) && isConsonant(word, last) &&
+    !'wxy'.includes(word[last]);
+}
+
+/**
+ * Parses the $search string of a $text query, MongoDB style: words match
+ * when any of them is found, "quoted phrases" have to be found as written,
+ * and -words exclude the documents holding them.
+ *
+ * @returns {{ search: string, terms: string[], phrases: string[][], negatedTerms: string[] }}
+ *   terms holds every term to look up, those of the phrases included.
+ */
+function parseTextSearch(search) {
+  if (typeof search !== 'string') {
+    throw new Error('$text requires a $search string');
+  }
+
+  const phrases = [];
+  const words = search.replace(/"([^"]*)"/g, (match, phrase) => {
+    const terms = tokenize(phrase);
+    if (terms.length > 0) {
+      phrases.push(terms);
+    }
+    return ' ';
+  }).split(/\s+/);
+
+  const negatedTerms = words.filter(word => word.startsWith('-')).flatMap(word => tokenize(word.slice(1)));
+  const terms = words.filter(word => !word.startsWith('-')).flatMap(tokenize);
+
+  return {
+    search,
+    terms: Array.from(new Set([...terms, ...phrases.flat()])),
+    phrases,
+    negatedTerms: Array.from(new Set(negatedTerms)),
+  };
+}
+
+function containsPhrase(terms, phrase) {
+  for (let start = 0; start + phrase.length <= terms.length; start++) {
+    if (phrase.every((term, offset) => terms[start + offset] === term)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether a document matches a parsed $text search over the values of the
+ * text-indexed fields, given as one array of values per field.
+ */
+function matchesTextSearch(fieldValues, textSearch) {
+  const fieldTerms = fieldValues.map(tokenizeValues);
+  const allTerms = new Set(fieldTerms.flat());
+
+  return textSearch.terms.some(term => allTerms.has(term)) &&
+    !textSearch.negatedTerms.some(term => allTerms.has(term)) &&
+    textSearch.phrases.every(phrase => fieldTerms.some(terms => containsPhrase(terms, phrase)));
+}
+
+/**
+ * Relevance of a document for a parsed $text search. Every search term found
+ * in a field adds 0.5, plus half the share of the field's terms it makes up:
+ * documents holding more of the terms rank first, then those where they
+ * weigh more.
+ *
+ * @returns {number} 0 when no term is found.
+ */
+function textScore(fieldValues, textSearch) {
+  let score = 0;
+
+  for (const terms of fieldValues.map(tokenizeValues)) {
+    for (const term of textSearch.terms) {
+      const frequency = terms.filter(t => t === term).length;
+      if (frequency > 0) {
+        score += 0.5 + 0.5 * (frequency / terms.length);
+      }
+    }
+  }
+
+  return score;
+}
+
+module.exports = {
+  tokenize,
+  tokenizeValues,
+  stem,
+  parseTextSearch,
+  matchesTextSearch,
+  textScore,
+};
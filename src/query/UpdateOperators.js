@@ -0,0 +1,250 @@
+// src/query/UpdateOperators.js
+
+const { isDeepStrictEqual } = require('util');
+const { parseQuery, matchesQuery } = require('./QueryParser');
+
+const updateOperators = {
+  $set: applySet,
+  $unset: applyUnset,
+  $inc: applyInc,
+  $mul: applyMul,
+  $push: applyPush,
+  $pull: applyPull,
+  $addToSet: applyAddToSet,
+  $rename: applyRename,
+  $currentDate: applyCurrentDate,
+};
+
+/**
+ * Whether an update is a MongoDB-style update document ({ $set: {...} })
+ * rather than a replacement document.
+ *
+ * @throws When operators and plain fields are mixed.
+ */
+function isUpdateDocument(update) {
+  const keys = Object.keys(update || {});
+  const operators = keys.filter(key => key.startsWith('$'));
+
+  if (operators.length > 0 && operators.length < keys.length) {
+    throw new Error('An update cannot mix update operators and plain fields');
+  }
+  return operators.length > 0;
+}
+
+/**
+ * Applies a MongoDB-style update document to a copy of doc. Paths use dot
+ * notation; a numeric part addresses an array element ('items.0.qty').
+ * Values are stored the way they would be serialized, so dates become ISO
+ * strings.
+ *
+ * @returns {object} The updated copy.
+ * @throws On unknown operators, invalid values, updates of `id` or two
+ *   operators touching the same path.
+ */
+function applyUpdate(doc, update) {
+  const updated = cloneDocument(doc);
+  const targets = [];
+
+  for (const [operator, fields] of Object.entries(update)) {
+    if (!(operator in updateOperators)) {
+      throw new Error(`Unsupported update operator ${operator}`);
+    }
+    if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+      throw new Error(`${operator} requires an object mapping fields to values`);
+    }
+
+    for (const [path, value] of Object.entries(fields)) {
+      const paths = operator === '$rename' ? [path, value] : [path];
+      for (const target of paths) {
+        checkPath(target, targets);
+        targets.push(target);
+      }
+      updateOperators[operator](updated, path, value);
+    }
+  }
+
+  return updated;
+}
+
+// Documents are plain JSON, so a JSON round-trip copies them on every
+// supported Node version (structuredClone needs Node 17)
+function cloneDocument(doc) {
+  return JSON.parse(JSON.stringify(doc));
+}
+
+function checkPath(path, targets) {
+  if (typeof path !== 'string' || path === '') {
+    throw new Error('Update paths must be non-empty strings');
+  }
+  if (path === 'id' || path.startsWith('id.')) {
+    throw new Error('The id field cannot be updated');
+  }
+
+  const conflict = targets.find(target => target === path ||
+    target.startsWith(`${path}.`) ||
+    path.startsWith(`${target}.`));
+  if (conflict) {
+    throw new Error(`Updating the path '${path}' would create a conflict at '${conflict}'`);
+  }
+}
+
+// Finds the object or array holding the last part of a path. With create,
+// missing intermediate objects are added; otherwise null is returned.
+function locate(doc, path, create) {
+  const parts = path.split('.');
+  let node = doc;
+
+  for (const part of parts.slice(0, -1)) {
+    const key = keyFor(node, part);
+    if (node[key] === undefined || node[key] === null) {
+      if (!create) return null;
+      node[key] = {};
+    } else if (typeof node[key] !== 'object') {
+      throw new Error(`Cannot update '${path}': '${part}' is not an object`);
+    }
+    node = node[key];
+  }
+
+  return { parent: node, key: keyFor(node, parts[parts.length - 1]) };
+}
+
+function keyFor(node, part) {
+  return Array.isArray(node) && /^\d+$/.test(part) ? Number(part) : part;
+}
+
+function toStored(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function applySet(doc, path, value) {
+  const { parent, key } = locate(doc, path, true);
+  parent[key] = toStored(value);
+}
+
+function applyUnset(doc, path) {
+  const location = locate(doc, path, false);
+  if (!location) return;
+
+  // As in MongoDB, unsetting an array element leaves null in its place
+  if (Array.isArray(location.parent)) {
+    if (location.key < location.parent.length) location.parent[location.key] = null;
+  } else {
+    delete location.parent[location.key];
+  }
+}
+
+// Combines the number at a path with value; a missing field gets missing(value)
+function applyArithmetic(operator, doc, path, value, missing, combine) {
+  if (typeof value !== 'number') {
+    throw new Error(`${operator} requires a numeric value for '${path}'`);
+  }
+
+  const { parent, key } = locate(doc, path, true);
+  if (parent[key] === undefined) {
+    parent[key] = missing(value);
+  } else if (typeof parent[key] !== 'number') {
+    throw new Error(`Cannot apply ${operator} to the non-numeric field '${path}'`);
+  } else {
+    parent[key] = combine(parent[key], value);
+  }
+}
+
+function applyInc(doc, path, value) {
+  applyArithmetic('$inc', doc, path, value, amount => amount, (current, amount) => current + amount);
+}
+
+function applyMul(doc, path, value) {
+  applyArithmetic('$mul', doc, path, value, () => 0, (current, factor) => current * factor);
+}
+
+// The array at a path, created when missing
+function arrayAt(operator, doc, path) {
+  const { parent, key } = locate(doc, path, true);
+  if (parent[key] === undefined) {
+    parent[key] = [];
+  } else if (!Array.isArray(parent[key])) {
+    throw new Error(`Cannot apply ${operator} to the non-array field '${path}'`);
+  }
+  return parent[key];
+}
+
+// { $each: [...] } adds several values, anything else a single one
+function eachValue(operator, value) {
+  if (typeof value === 'object' && value !== null && '$each' in value) {
+    if (!Array.isArray(value.$each)) {
+      throw new Error(`${operator} $each requires an array`);
+    }
+    return value.$each.map(toStored);
+  }
+  return [toStored(value)];
+}
+
+function applyPush(doc, path, value) {
+  arrayAt('$push', doc, path).push(...eachValue('$push', value));
+}
+
+function applyAddToSet(doc, path, value) {
+  const array = arrayAt('$addToSet', doc, path);
+  for (const element of eachValue('$addToSet', value)) {
+    if (!array.some(existing => isDeepStrictEqual(existing, element))) {
+      array.push(element);
+    }
+  }
+}
+
+// A $pull condition is a value, an operator condition ({ $gte: 6 }) or, for
+// arrays of objects, a query on the elements ({ name: 'x' })
+function applyPull(doc, path, condition) {
+  const location = locate(doc, path, false);
+  if (!location || location.parent[location.key] === undefined) return;
+
+  const array = location.parent[location.key];
+  if (!Array.isArray(array)) {
+    throw new Error(`Cannot apply $pull to the non-array field '${path}'`);
+  }
+
+  const isElementQuery = typeof condition === 'object' && condition !== null &&
+    !Array.isArray(condition) && !(condition instanceof Date) && !(condition instanceof RegExp) &&
+    !Object.keys(condition).some(key => key.startsWith('$'));
+
+  let matches;
+  if (isElementQuery) {
+    const query = parseQuery(condition);
+    matches = element => typeof element === 'object' && element !== null && matchesQuery(element, query);
+  } else {
+    const query = parseQuery({ element: condition });
+    matches = element => matchesQuery({ element }, query);
+  }
+
+  location.parent[location.key] = array.filter(element => !matches(element));
+}
+
+function applyRename(doc, path, newPath) {
+  if (typeof newPath !== 'string') {
+    throw new Error(`$rename requires a string target for '${path}'`);
+  }
+
+  const location = locate(doc, path, false);
+  if (!location || Array.isArray(location.parent) || location.parent[location.key] === undefined) return;
+
+  const value = location.parent[location.key];
+  delete location.parent[location.key];
+  const target = locate(doc, newPath, true);
+  target.parent[target.key] = value;
+}
+
+function applyCurrentDate(doc, path, value) {
+  const type = typeof value === 'object' && value !== null ? value.$type : 'date';
+  if (value !== true && type !== 'date' && type !== 'timestamp') {
+    throw new Error(`$currentDate requires true or { $type: 'date' | 'timestamp' } for '${path}'`);
+  }
+
+  const { parent, key } = locate(doc, path, true);
+  parent[key] = type === 'timestamp' ? Date.now() : new Date().toISOString();
+}
+
+module.exports = {
+  isUpdateDocument,
+  applyUpdate,
+  cloneDocument,
+};
@@ -0,0 +1,257 @@
+// src/storage/FileSystemStorage.js
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { tagConditionMatcher } = require('../query/QueryParser');
+const StorageAdapter = require('./StorageAdapter');
+const { paginate, conditionNotMet } = require('./blobHelpers');
+
+const LOCK_OPTIONS = {
+  retryDelay: 10, // milliseconds
+  staleAfter: 10000, // milliseconds; locks older than this are assumed abandoned
+};
+
+// Layout on disk:
+//   <root>/<collection>/<id>.json                  document
+//   <root>/<collection>/__tags/<id>.json           index tags of the document
+//   <root>/<collection>/__collection_indexes.json  index definitions
+//
+// Files are replaced atomically (write to a temp file, then rename), so every
+// write produces a new inode. The inode and modification time together form a
+// version stamp that plays the role of an Azure ETag.
+class FileSystemStorage extends StorageAdapter {
+  constructor(rootDir, options = {}) {
+    super(options);
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  collectionDir(collection) {
+    return path.join(this.rootDir, encodeURIComponent(`${this.prefix}${collection}`));
+  }
+
+  blobPath(collection, name) {
+    return path.join(this.collectionDir(collection), `${encodeURIComponent(name)}.json`);
+  }
+
+  tagsPath(collection, name) {
+    return path.join(this.collectionDir(collection), '__tags', `${encodeURIComponent(name)}.json`);
+  }
+
+  async getCollectionDir(collection) {
+    const dir = this.collectionDir(collection);
+    await fs.mkdir(path.join(dir, '__tags'), { recursive: true });
+    return dir;
+  }
+
+  async versionStamp(filePath) {
+    try {
+      const stats = await fs.stat(filePath, { bigint: true });
+      return `"${stats.ino.toString(36)}-${stats.mtimeNs.toString(36)}"`;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  async writeFileAtomic(filePath, content) {
+    const tempPath = path.join(
+      path.dirname(filePath),
+      `.${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`
+    );
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+  }
+
+  // Serializes compare-and-swap sections on a file across processes with an exclusive lock file
+  async withFileLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+
+    while (true) {
+      try {
+        const handle = await fs.open(lockPath, 'wx');
+        await handle.close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        try {
+          const stats = await fs.stat(lockPath);
+          if (Date.now() - stats.mtimeMs > LOCK_OPTIONS.staleAfter) {
+            await fs.rm(lockPath, { force: true });
+            continue;
+          }
+        } catch (statError) {
+          if (statError.code !== 'ENOENT') throw statError;
+          continue;
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_OPTIONS.retryDelay));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async readBlobTags(collection, name) {
+    if (!(await this.versionStamp(this.blobPath(collection, name)))) {
+      return null;
+    }
+    return (await this.readJson(this.tagsPath(collection, name))) || {};
+  }
+
+  async readBlob(collection, name) {
+    const filePath = this.blobPath(collection, name);
+
+    try {
+      const eTag = await this.versionStamp(filePath);
+      const content = await fs.readFile(filePath, 'utf8');
+      return { content, eTag };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeBlob(collection, name, content, options = {}) {
+    await this.getCollectionDir(collection);
+    const filePath = this.blobPath(collection, name);
+
+    const write = async () => {
+      // Tags first, so a crash never leaves a document that tag lookups cannot see
+      if (options.tags) {
+        await this.writeFileAtomic(this.tagsPath(collection, name), JSON.stringify(options.tags));
+      }
+      await this.writeFileAtomic(filePath, content);
+      return { eTag: await this.versionStamp(filePath) };
+    };
+
+    if (!options.ifMatch && !options.ifNoneMatch) {
+      return write();
+    }
+
+    return this.withFileLock(filePath, async () => {
+      const currentETag = await this.versionStamp(filePath);
+      if (options.ifMatch && currentETag !== options.ifMatch) {
+        throw conditionNotMet(412, `File "${filePath}" has been modified.`);
+      }
+      if (options.ifNoneMatch === '*' && currentETag) {
+        throw conditionNotMet(409, `File "${filePath}" already exists.`);
+      }
+      return write();
+    });
+  }
+
+  // Only the sidecar changes, so the version stamp of the document stays the same
+  async setBlobTags(collection, name, tags) {
+    if (await this.versionStamp(this.blobPath(collection, name))) {
+      await this.writeFileAtomic(this.tagsPath(collection, name), JSON.stringify(tags));
+    }
+  }
+
+  async deleteBlob(collection, name, options = {}) {
+    const filePath = this.blobPath(collection, name);
+
+    const remove = async () => {
+      await fs.rm(filePath, { force: true });
+      await fs.rm(this.tagsPath(collection, name), { force: true });
+    };
+
+    if (!options.ifMatch) {
+      return remove();
+    }
+
+    return this.withFileLock(filePath, async () => {
+      if ((await this.versionStamp(filePath)) !== options.ifMatch) {
+        throw conditionNotMet(412, `File "${filePath}" has been modified.`);
+      }
+      return remove();
+    });
+  }
+
+  // Blob names in listing order; ULID ids sort oldest first, like an Azure blob listing
+  async listBlobNames(collection) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.collectionDir(collection), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.isFile() && entry.name.endsWith('.json') && !entry.name.startsWith('.'))
+      .map(entry => decodeURIComponent(entry.name.slice(0, -'.json'.length)))
+      .sort();
+  }
+
+  async *listBlobs(collection, options = {}) {
+    const names = (await this.listBlobNames(collection)).filter(name => !options.prefix || name.startsWith(options.prefix));
+    yield* paginate(names, options.maxPageSize, options.continuationToken);
+  }
+
+  async *findBlobsByTags(collection, tagConditions, options = {}) {
+    const matchers = tagConditions.map(({ field, condition }) => ({
+      field,
+      matches: tagConditionMatcher(field, condition),
+    }));
+
+    const names = [];
+    for (const name of await this.listBlobNames(collection)) {
+      const tags = await this.readJson(this.tagsPath(collection, name));
+      if (tags && matchers.every(({ field, matches }) => tags[field] !== undefined && matches(tags[field]))) {
+        names.push(name);
+      }
+    }
+
+    yield* paginate(names, options.maxPageSize, options.continuationToken);
+  }
+
+  async listContainers() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const containerNames = [];
+    for (const entry of entries) {
+      const name = decodeURIComponent(entry.name);
+      if (entry.isDirectory() && name.startsWith(this.prefix)) {
+        containerNames.push(name.substring(this.prefix.length));
+      }
+    }
+    return containerNames;
+  }
+
+  async deleteContainer(collection) {
+    await fs.rm(this.collectionDir(collection), { recursive: true, force: true });
+  }
+}
+
+module.exports = FileSystemStorage;
@@ -0,0 +1,111 @@
+// src/storage/MemoryStorage.js
+
+const { tagConditionMatcher } = require('../query/QueryParser');
+const StorageAdapter = require('./StorageAdapter');
+const { paginate, conditionNotMet } = require('./blobHelpers');
+
+// Keeps every collection in process memory. Documents are stored serialized,
+// exactly as they would be uploaded to a blob, so reads never share object
+// references with callers and Dates round-trip as ISO strings.
+class MemoryStorage extends StorageAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.collections = new Map(); // collection -> Map(blob name -> { content, tags, eTag })
+    this.eTagCounter = 0;
+  }
+
+  getContainer(collection) {
+    const name = `${this.prefix}${collection}`;
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  nextETag() {
+    this.eTagCounter++;
+    return `"${this.eTagCounter}"`;
+  }
+
+  async readBlob(collection, name) {
+    const blob = this.getContainer(collection).get(name);
+    return blob ? { content: blob.content, eTag: blob.eTag } : null;
+  }
+
+  async readBlobTags(collection, name) {
+    const blob = this.getContainer(collection).get(name);
+    return blob ? { ...blob.tags } : null;
+  }
+
+  async writeBlob(collection, name, content, options = {}) {
+    const container = this.getContainer(collection);
+    const current = container.get(name);
+
+    if (options.ifMatch && (!current || current.eTag !== options.ifMatch)) {
+      throw conditionNotMet(412, `Blob "${name}" has been modified.`);
+    }
+    if (options.ifNoneMatch === '*' && current) {
+      throw conditionNotMet(409, `Blob "${name}" already exists.`);
+    }
+
+    const eTag = this.nextETag();
+    container.set(name, { content, tags: { ...options.tags }, eTag });
+    return { eTag };
+  }
+
+  async setBlobTags(collection, name, tags) {
+    const blob = this.getContainer(collection).get(name);
+    if (blob) {
+      blob.tags = { ...tags };
+    }
+  }
+
+  async deleteBlob(collection, name, options = {}) {
+    const container = this.getContainer(collection);
+    const current = container.get(name);
+
+    if (options.ifMatch && (!current || current.eTag !== options.ifMatch)) {
+      throw conditionNotMet(412, `Blob "${name}" has been modified.`);
+    }
+    container.delete(name);
+  }
+
+  async *listBlobs(collection, options = {}) {
+    // Azure lists blobs lexicographically, so ULID ids come back oldest first
+    const names = Array.from(this.getContainer(collection).keys())
+      .filter(name => !options.prefix || name.startsWith(options.prefix))
+      .sort();
+    yield* paginate(names, options.maxPageSize, options.continuationToken);
+  }
+
+  async *findBlobsByTags(collection, tagConditions, options = {}) {
+    const container = this.getContainer(collection);
+    const matchers = tagConditions.map(({ field, condition }) => ({
+      field,
+      matches: tagConditionMatcher(field, condition),
+    }));
+
+    const names = Array.from(container.keys()).sort().filter(name => {
+      const tags = container.get(name).tags;
+      return matchers.every(({ field, matches }) => tags[field] !== undefined && matches(tags[field]));
+    });
+
+    yield* paginate(names, options.maxPageSize, options.continuationToken);
+  }
+
+  async listContainers() {
+    const containerNames = [];
+    for (const name of this.collections.keys()) {
+      if (name.startsWith(this.prefix)) {
+        containerNames.push(name.substring(this.prefix.length));
+      }
+    }
+    return containerNames;
+  }
+
+  async deleteContainer(collection) {
+    this.collections.delete(`${this.prefix}${collection}`);
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,399 @@
+// src/storage/S3Storage.js
+
+const {
+  S3Client,
+  CreateBucketCommand,
+  HeadBucketCommand,
+  DeleteBucketCommand,
+  ListBucketsCommand,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectTaggingCommand,
+  PutObjectTaggingCommand,
+} = require('@aws-sdk/client-s3');
+const { tagConditionMatcher, Operator } = require('../query/QueryParser');
+const StorageAdapter = require('./StorageAdapter');
+const { paginate, shortenContainerName, conditionNotMet } = require('./blobHelpers');
+
+// S3 has no equivalent of findBlobsByTags, so every indexed value is also
+// written as an empty marker object under this prefix:
+//   __idx/<field>/<tag value>/<document id>
+const INDEX_ENTRY_PREFIX = '__idx/';
+
+class S3Storage extends StorageAdapter {
+  /**
+   * @param {object} clientConfig - S3Client configuration (region, endpoint, credentials, forcePathStyle...)
+   * @param {object} [options]
+   * @param {string} [options.bucket] - Store every collection as a key prefix inside this bucket.
+   *   When omitted, each collection gets its own bucket.
+   * @param {string} [options.prefix] - Prefix applied to bucket names (or to key prefixes in single-bucket mode)
+   * @param {S3Client} [options.client] - Client to use instead of one built from clientConfig
+   */
+  constructor(clientConfig = {}, options = {}) {
+    super(options);
+    this.bucket = options.bucket || null;
+    this.client = options.client || new S3Client(clientConfig);
+    this.ensuredBuckets = new Set();
+  }
+
+  sanitizeBucketName(name) {
+    name = `${this.prefix}${name}`;
+    let sanitized = name.toLowerCase().replace(/[^a-z0-9-]/g, '');
+    sanitized = sanitized.replace(/-+/g, '-');
+    sanitized = sanitized.replace(/^-|-$/g, '');
+    sanitized = shortenContainerName(sanitized);
+    if (sanitized.length < 3) {
+      sanitized = sanitized.padEnd(3, 'a');
+    }
+    return sanitized;
+  }
+
+  // Existing buckets are only checked, so that using them needs no
+  // s3:CreateBucket permission
+  async ensureBucket(bucket) {
+    if (this.ensuredBuckets.has(bucket)) {
+      return;
+    }
+
+    try {
+      await this.client.send(new HeadBucketCommand({ Bucket: bucket }));
+    } catch (error) {
+      if (!isNotFound(error)) {
+        throw error;
+      }
+      await this.createBucket(bucket);
+    }
+    this.ensuredBuckets.add(bucket);
+  }
+
+  async createBucket(bucket) {
+    const params = { Bucket: bucket };
+    // Outside us-east-1, S3 requires the region as location constraint (and rejects it there)
+    const region = await this.getRegion();
+    if (region && region !== 'us-east-1') {
+      params.CreateBucketConfiguration = { LocationConstraint: region };
+    }
+
+    try {
+      await this.client.send(new CreateBucketCommand(params));
+    } catch (error) {
+      // Created meanwhile by another instance; BucketAlreadyExists means another account owns the name
+      if (error.name !== 'BucketAlreadyOwnedByYou') {
+        throw error;
+      }
+    }
+  }
+
+  // The region of the client; S3Client configurations hold it as a provider function
+  async getRegion() {
+    const region = this.client.config && this.client.config.region;
+    return typeof region === 'function' ? region() : region;
+  }
+
+  // Resolves where a collection lives: its own bucket, or a key prefix in the shared bucket
+  async getLocation(collection) {
+    if (this.bucket) {
+      await this.ensureBucket(this.bucket);
+      return { bucket: this.bucket, keyPrefix: `${this.prefix}${collection}/` };
+    }
+
+    const bucket = this.sanitizeBucketName(collection);
+    await this.ensureBucket(bucket);
+    return { bucket, keyPrefix: '' };
+  }
+
+  async readBlob(collection, name) {
+    const { bucket, keyPrefix } = await this.getLocation(collection);
+
+    try {
+      const response = await this.client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: `${keyPrefix}${name}` })
+      );
+      return { content: await response.Body.transformToString(), eTag: response.ETag };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeBlob(collection, name, content, options = {}) {
+    const { bucket, keyPrefix } = await this.getLocation(collection);
+
+    const params = {
+      Bucket: bucket,
+      Key: `${keyPrefix}${name}`,
+      Body: content,
+      ContentType: 'application/json',
+    };
+    if (options.tags) {
+      params.Tagging = new URLSearchParams(options.tags).toString();
+    }
+    // Conditional writes give the same optimistic concurrency as Azure ETags
+    if (options.ifMatch) {
+      params.IfMatch = options.ifMatch;
+    }
+    if (options.ifNoneMatch) {
+      params.IfNoneMatch = options.ifNoneMatch;
+    }
+
+    const previousTags = options.tags ? await this.readTags(collection, name) : {};
+
+    let response;
+    try {
+      response = await this.client.send(new PutObjectCommand(params));
+    } catch (error) {
+      // Expose the HTTP status the way Azure's RestError does
+      if (error.$metadata && error.$metadata.httpStatusCode) {
+        error.statusCode = error.$metadata.httpStatusCode;
+      }
+      throw error;
+    }
+
+    if (options.tags) {
+      await this.writeIndexEntries(collection, name, previousTags, options.tags);
+    }
+
+    return { eTag: response.ETag };
+  }
+
+  async setBlobTags(collection, name, tags) {
+    const { bucket, keyPrefix } = await this.getLocation(collection);
+    const previousTags = await this.readBlobTags(collection, name);
+    if (!previousTags) {
+      return;
+    }
+
+    try {
+      await this.client.send(new PutObjectTaggingCommand({
+        Bucket: bucket,
+        Key: `${keyPrefix}${name}`,
+        Tagging: { TagSet: Object.entries(tags).map(([Key, Value]) => ({ Key, Value })) },
+      }));
+    } catch (error) {
+      if (isNotFound(error)) {
+        return;
+      }
+      throw error;
+    }
+
+    await this.writeIndexEntries(collection, name, previousTags, tags);
+  }
+
+  async deleteBlob(collection, name, options = {}) {
+    const { bucket, keyPrefix } = await this.getLocation(collection);
+    const previousTags = await this.readTags(collection, name);
+
+    if (options.ifMatch) {
+      // The condition has to hold before anything is removed, so the object
+      // goes first; index entries left behind by a crash point at a missing
+      // document, which reads skip
+      try {
+        await this.client.send(new DeleteObjectCommand({
+          Bucket: bucket,
+          Key: `${keyPrefix}${name}`,
+          IfMatch: options.ifMatch,
+        }));
+      } catch (error) {
+        if (isNotFound(error) || (error.$metadata && error.$metadata.httpStatusCode === 412)) {
+          throw conditionNotMet(412, `Object "${keyPrefix}${name}" has been modified.`);
+        }
+        throw error;
+      }
+      await this.writeIndexEntries(collection, name, previousTags, {});
+      return;
+    }
+
+    // Remove the index entries first so lookups never point at a missing document
+    await this.writeIndexEntries(collection, name, previousTags, {});
+
+    await this.client.send(new DeleteObjectCommand({ Bucket: bucket, Key: `${keyPrefix}${name}` }));
+  }
+
+  async readBlobTags(collection, name) {
+    const { bucket, keyPrefix } = await this.getLocation(collection);
+
+    try {
+      const response = await this.client.send(
+        new GetObjectTaggingCommand({ Bucket: bucket, Key: `${keyPrefix}${name}` })
+      );
+      return Object.fromEntries((response.TagSet || []).map(({ Key, Value }) => [Key, Value]));
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Tags of a blob, empty when it does not exist
+  async readTags(collection, name) {
+    return (await this.readBlobTags(collection, name)) || {};
+  }
+
+  indexEntryPrefix(keyPrefix, field, tagValue) {
+    const fieldPrefix = `${keyPrefix}${INDEX_ENTRY_PREFIX}${encodeURIComponent(field)}/`;
+    return tagValue === undefined ? fieldPrefix : `${fieldPrefix}${encodeURIComponent(tagValue)}/`;
+  }
+
+  // Brings the index entries of a document from previousTags to tags
+  async writeIndexEntries(collection, id, previousTags, tags) {
+    const { bucket, keyPrefix } = await this.getLocation(collection);
+
+    const stale = Object.entries(previousTags)
+      .filter(([field, value]) => tags[field] !== value)
+      .map(([field, value]) => ({ Key: `${this.indexEntryPrefix(keyPrefix, field, value)}${id}` }));
+
+    const added = Object.entries(tags)
+      .filter(([field, value]) => previousTags[field] !== value);
+
+    for (const [field, value] of added) {
+      await this.client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: `${this.indexEntryPrefix(keyPrefix, field, value)}${id}`,
+        Body: '',
+      }));
+    }
+
+    if (stale.length > 0) {
+      await this.client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: stale, Quiet: true },
+      }));
+    }
+  }
+
+  async *listKeys(bucket, prefix, options = {}) {
+    let continuationToken = options.continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        Delimiter: options.delimiter,
+        MaxKeys: options.maxKeys,
+        ContinuationToken: continuationToken,
+      }));
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      yield { ...response, continuationToken };
+    } while (continuationToken);
+  }
+
+  async *listBlobs(collection, options = {}) {
+    const { bucket, keyPrefix } = await this.getLocation(collection);
+
+    // The delimiter keeps the __idx/ entries out of the listing
+    const pages = this.listKeys(bucket, `${keyPrefix}${options.prefix || ''}`, {
+      delimiter: '/',
+      maxKeys: options.maxPageSize,
+      continuationToken: options.continuationToken,
+    });
+
+    for await (const page of pages) {
+      yield {
+        names: (page.Contents || []).map(object => object.Key.substring(keyPrefix.length)),
+        continuationToken: page.continuationToken,
+      };
+    }
+  }
+
+  // Resolves one condition against the index entries of a field
+  async findIdsByCondition(collection, field, condition) {
+    const { bucket, keyPrefix } = await this.getLocation(collection);
+
+    // Equality reads a single value prefix; other operators scan the field
+    const fieldPrefix = this.indexEntryPrefix(keyPrefix, field);
+    const prefix = condition.operator === Operator.EQ
+      ? this.indexEntryPrefix(keyPrefix, field, condition.value)
+      : fieldPrefix;
+    const matches = tagConditionMatcher(field, condition);
+    const ids = new Set();
+
+    for await (const page of this.listKeys(bucket, prefix)) {
+      for (const object of page.Contents || []) {
+        const [encodedTagValue, id] = object.Key.substring(fieldPrefix.length).split('/');
+        if (matches(decodeURIComponent(encodedTagValue))) {
+          ids.add(id);
+        }
+      }
+    }
+
+    return ids;
+  }
+
+  async *findBlobsByTags(collection, tagConditions, options = {}) {
+    let ids = null;
+
+    for (const { field, condition } of tagConditions) {
+      const matched = await this.findIdsByCondition(collection, field, condition);
+      ids = ids === null ? matched : new Set([...ids].filter(id => matched.has(id)));
+    }
+
+    const matchers = tagConditions.map(({ field, condition }) => [field, tagConditionMatcher(field, condition)]);
+    const pages = paginate(Array.from(ids || []).sort(), options.maxPageSize, options.continuationToken);
+
+    // Index entries are written apart from the object and can outlive a
+    // failed write, so candidates are checked against the object's own tags
+    for (const page of pages) {
+      const tags = await Promise.all(page.names.map(id => this.readBlobTags(collection, id)));
+      yield {
+        names: page.names.filter((id, index) => tags[index] !== null &&
+          matchers.every(([field, matches]) => tags[index][field] !== undefined && matches(tags[index][field]))),
+        continuationToken: page.continuationToken,
+      };
+    }
+  }
+
+  async listContainers() {
+    const containerNames = [];
+
+    if (this.bucket) {
+      await this.ensureBucket(this.bucket);
+      for await (const page of this.listKeys(this.bucket, this.prefix, { delimiter: '/' })) {
+        for (const { Prefix } of page.CommonPrefixes || []) {
+          containerNames.push(Prefix.substring(this.prefix.length, Prefix.length - 1));
+        }
+      }
+      return containerNames;
+    }
+
+    const response = await this.client.send(new ListBucketsCommand({}));
+    for (const bucket of response.Buckets || []) {
+      containerNames.push(bucket.Name);
+    }
+    return containerNames;
+  }
+
+  async deleteContainer(collection) {
+    const { bucket, keyPrefix } = await this.getLocation(collection);
+
+    // S3 refuses to delete non-empty buckets, so remove every object first
+    for await (const page of this.listKeys(bucket, keyPrefix, { maxKeys: 1000 })) {
+      const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+      if (objects.length > 0) {
+        await this.client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: objects, Quiet: true },
+        }));
+      }
+    }
+
+    if (!this.bucket) {
+      await this.client.send(new DeleteBucketCommand({ Bucket: bucket }));
+      this.ensuredBuckets.delete(bucket);
+    }
+  }
+}
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' ||
+    error.name === 'NotFound' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,3019 @@
+// src/storage/StorageAdapter.js
+
+const {
+  parseQuery,
+  applyInMemoryFilter,
+  resolvePath,
+  operatorToTagCondition,
+  parseSort,
+  sortKeys,
+  compareSortKeys,
+  compareDocuments,
+  parseProjection,
+  applyProjection,
+  setPath,
+  tagConditionMatcher,
+  Operator,
+} = require('../query/QueryParser');
+const { isUpdateDocument, applyUpdate, cloneDocument } = require('../query/UpdateOperators');
+const { tokenizeValues, textScore } = require('../query/TextSearch');
+const { parsePipeline, splitPipeline, runPipeline } = require('../query/Aggregation');
+const { ConcurrencyError, BulkWriteError } = require('../errors');
+const { Readable } = require('stream');
+const { isDeepStrictEqual } = require('util');
+const { monotonicFactory } = require('ulid');
+const {
+  TagType,
+  encodeTagValue,
+  hashTagValue,
+  encodeNumberTagValue,
+  encodeDateTagValue,
+  decodeTagValue,
+  decodeNumberTagValue,
+  DateGranularity,
+  encodeDateBucket,
+  toDateBucket,
+  isTimeZone,
+} = require('./tagEncoding');
+const { paginate } = require('./blobHelpers');
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 5,
+  initialDelay: 100, // milliseconds
+  maxDelay: 5000, // milliseconds
+};
+
+// Hashed in collections whose index definitions predate the hashed option
+const LEGACY_HASHED_FIELDS = ['email', 'username'];
+
+// Version of the tag value encoding, kept in the index definitions. Version 1
+// tagged numbers as decimal strings; version 2 as order-preserving hex (see
+// encodeNumberTagValue). Number conditions on a collection still at version 1
+// are evaluated in memory until rebuildIndexes re-tags its documents.
+const TAG_ENCODING_VERSION = 2;
+
+// Azure allows 10 tags per blob; date granularities add a bucket tag each
+const MAX_TAGS_PER_DOCUMENT = 10;
+
+// Longer values only keep their beginning in the tag, see markFieldShapes
+const MAX_TAG_VALUE_LENGTH = 256;
+
+// Where the values of an indexed field are kept: in the tags of the documents,
+// or in the secondary index store, a companion "stormidb-idx-<collection>"
+// container holding one empty blob per field, value and document, named
+// <field>~<value>~<id>. Values longer than MAX_ENTRY_KEY_LENGTH are cut and
+// followed by a hash in the name, and stored whole as the content of the blob.
+const IndexStore = {
+  TAGS: 'tags',
+  SECONDARY: 'secondary',
+};
+
+// Backends keep only lower case alphanumerics and dashes in container names,
+// so the store is marked with a prefix made of those, reserved for it
+const SECONDARY_INDEX_CONTAINER_PREFIX = 'stormidb-idx-';
+const MAX_ENTRY_KEY_LENGTH = 64;
+
+// Accepted values of the createIndex `type` option. Value types coerce and
+// encode the indexed values; 'default' and 'compound' infer the type from each value.
+const TEXT_INDEX_TYPE = 'text';
+const INDEX_TYPES = new Set(['default', 'compound', TEXT_INDEX_TYPE, ...Object.values(TagType)]);
+
+// A text index keeps one secondary index entry per term and document, under
+// this field name: "$text~<term>~<id>"
+const TEXT_ENTRY_FIELD = '$text';
+
+// Operators every backend can evaluate against index tags
+const TAG_OPERATORS = new Set([
+  Operator.EQ,
+  Operator.GT,
+  Operator.LT,
+  Operator.GTE,
+  Operator.LTE,
+  Operator.BETWEEN,
+]);
+
+// Strict comparisons on the beginning of long values, see toTagCondition
+const WIDENED_OPERATORS = {
+  [Operator.GT]: Operator.GTE,
+  [Operator.LT]: Operator.LTE,
+};
+
+// Tag filters only support AND, so $in and $or run one findBlobsByTags query
+// per alternative. Beyond this many queries they are evaluated in memory.
+const MAX_TAG_QUERY_BRANCHES = 10;
+
+// Number of document reads findStream and iterate keep in flight
+const DEFAULT_READ_CONCURRENCY = 8;
+
+// Number of writes insertMany, updateMany, deleteMany and bulkWrite keep in flight
+const DEFAULT_WRITE_CONCURRENCY = 8;
+
+// Operations bulkWrite accepts, and the result counter each one increments
+const BULK_OPERATIONS = {
+  insertOne: 'insertedCount',
+  updateOne: 'updatedCount',
+  deleteOne: 'deletedCount',
+};
+
+// Unique values are claimed with one reservation blob per index and value,
+// created with ifNoneMatch '*' so that a single document can hold it. A
+// reservation whose document does not hold the value is orphaned (left by a
+// failed write) once it is older than the reservation timeout.
+const RESERVATION_PREFIX = '__unique_';
+const REBUILD_CHECKPOINT = '__index_rebuild';
+
+// Build status of an index: whether documents written before it existed are tagged
+const IndexStatus = {
+  READY: 'ready',
+  PENDING: 'pending',
+  BUILDING: 'building',
+};
+const DEFAULT_RESERVATION_TIMEOUT = 30000; // milliseconds
+
+// Monotonic ids keep listing order equal to insertion order even within the same millisecond
+const ulid = monotonicFactory();
+
+/**
+ * Base class for StormiDB storage backends.
+ *
+ * StormiDB only talks to the public contract below (create, read, update,
+ * delete, find, countDocuments, createIndex, dropCollection, listCollections).
+ * The base class implements that contract once, in terms of a small set of
+ * blob primitives modelled on Azure Blob Storage: a collection is a container
+ * of named blobs, each blob has string content, an ETag and optional index
+ * tags. Backends extend StorageAdapter and implement the primitives; a backend
+ * with native support for an operation may also override the public method.
+ *
+ * Blob names starting with "__" are reserved for system data (for example the
+ * "__collection_indexes" blob holding index definitions) and are never
+ * returned as documents.
+ */
+class StorageAdapter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.prefix] - Prefix of container names.
+   * @param {boolean} [options.verbose=true] - Log queries and writes.
+   * @param {number} [options.reservationTimeout=30000] - Age in milliseconds after which
+   *   a unique value reservation whose document does not hold the value can be taken over.
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || '';
+    this.verbose = options.verbose !== false;
+    this.reservationTimeout = options.reservationTimeout !== undefined
+      ? options.reservationTimeout
+      : DEFAULT_RESERVATION_TIMEOUT;
+    this.indexDefinitions = {}; // Cache for index definitions per collection
+  }
+
+  log(...args) {
+    if (this.verbose) {
+      console.log(...args);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public contract
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Stores a new document and returns its id.
+   *
+   * @param {string} collection
+   * @param {object} data - Document body. Its `id` property is set to the final id.
+   * @param {string} [existingId] - Id to store the document under (used by upserts).
+   *   A new ULID is generated when omitted.
+   * @param {object} [options]
+   * @param {boolean} [options.ifNotExists] - Fail instead of replacing a document stored
+   *   under the same id.
+   * @returns {Promise<string>} The document id.
+   * @throws When a unique index already holds one of the document's values, or with
+   *   ifNotExists, when the id is taken.
+   */
+  async create(collection, data, existingId = undefined, options = {}) {
+    const id = existingId || ulid();
+    data.id = id;
+
+    // Checked before anything is claimed, as the reservations and secondary
+    // index entries of the stored document would be the same as ours
+    if (options.ifNotExists && existingId && await this.readBlob(collection, id)) {
+      throw duplicateId(collection, id);
+    }
+
+    // Load index definitions
+    const indexDefs = await this.markFieldShapes(collection, data);
+
+    // Prepare tags with only indexed fields
+    const tags = this.prepareTags(collection, data, indexDefs);
+
+    // Claim the unique values, then check for documents written before reservations existed
+    const claimed = await this.claimReservations(collection, id, this.uniqueReservations(data, indexDefs));
+    const entries = this.prepareSecondaryEntries(data, indexDefs);
+    try {
+      await this.checkUniqueConstraintsOnCreate(collection, data, tags, indexDefs);
+
+      const formattedTags = this.formatTags(tags);
+
+      this.log('Creating document with tags:', formattedTags);
+
+      // Secondary index entries go first, so lookups never miss the document
+      await this.writeSecondaryEntries(collection, entries);
+      await this.writeBlob(collection, id, JSON.stringify(data), {
+        tags: formattedTags,
+        ifNoneMatch: options.ifNotExists ? '*' : undefined,
+      });
+    } catch (error) {
+      await this.releaseReservations(collection, id, claimed);
+
+      // A document created meanwhile under the id keeps the entries it shares with ours
+      const stored = options.ifNotExists && (error.statusCode === 409 || error.statusCode === 412)
+        ? await this.read(collection, id)
+        : null;
+      const kept = stored ? this.prepareSecondaryEntries(stored, indexDefs) : new Map();
+      await this.deleteSecondaryEntries(collection, Array.from(entries.keys()).filter(name => !kept.has(name)));
+      throw stored ? duplicateId(collection, id) : error;
+    }
+
+    return id;
+  }
+
+  /**
+   * Reads a document by id.
+   *
+   * Documents read from their blob carry their version (the blob ETag) in a
+   * non-enumerable `_etag` property, which update and delete accept as `ifMatch`.
+   *
+   * @param {object} [options]
+   * @param {object} [options.projection] - MongoDB-style projection, see find.
+   * @returns {Promise<object|null>} The document, or null when it does not exist.
+   */
+  async read(collection, id, options = {}) {
+    const projection = parseProjection(options.projection);
+    if (projection) {
+      const indexDefs = await this.loadIndexDefinitions(collection);
+      const doc = this.isProjectionCovered(projection, indexDefs)
+        ? await this.readDocumentFromTags(collection, id, projection.paths, indexDefs)
+        : await this.read(collection, id);
+      return project(doc, projection);
+    }
+
+    try {
+      const blob = await this.readBlob(collection, id);
+      return blob ? withVersion(JSON.parse(blob.content), blob.eTag) : null;
+    } catch (error) {
+      console.error('Error reading blob:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Updates an existing document. The stored document keeps `id`.
+   *
+   * @param {object} data - Either a replacement document, or a MongoDB-style update
+   *   document ({ $set: { 'address.city': 'Paris' }, $inc: { visits: 1 } }) applied to the
+   *   stored document, see UpdateOperators. Index tags and unique constraints are computed
+   *   on the result in both cases.
+   * @param {object} [options]
+   * @param {string} [options.ifMatch] - Only update the document if its version (`_etag`)
+   *   still is this one. Without it, the update is written conditionally on the version
+   *   it was applied to, and read and applied again if the document changed meanwhile.
+   * @param {object} [options.retry] - Overrides DEFAULT_RETRY_OPTIONS for those retries.
+   * @returns {Promise<object>} The stored document, with its new `_etag`.
+   * @throws {ConcurrencyError} When ifMatch is stale.
+   * @throws When the document does not exist, the update is invalid or a unique
+   *   constraint is violated.
+   */
+  async update(collection, id, data, options = {}) {
+    const attempt = async () => {
+      const existingData = await this.readExisting(collection, id);
+      if (options.ifMatch && existingData._etag !== options.ifMatch) {
+        throw staleVersion(collection, id);
+      }
+      return this.writeUpdate(collection, id, data, existingData);
+    };
+
+    if (options.ifMatch) {
+      return attempt();
+    }
+    return retryOnConflict(attempt, { ...DEFAULT_RETRY_OPTIONS, ...options.retry }, (retry, delay) =>
+      this.log(`Document ${id} changed while updating it, retrying after ${delay}ms (attempt ${retry})`)
+    );
+  }
+
+  /**
+   * Read-modify-write with optimistic concurrency: reads the document, passes
+   * a copy to updater and writes what it returns (a replacement document or an
+   * update document) if the document did not change in the meantime. On a
+   * conflict, the document is read again and updater called again, with the
+   * backoff of DEFAULT_RETRY_OPTIONS.
+   *
+   * @param {function(object): (object|Promise<object>)} updater
+   * @param {object} [options]
+   * @param {object} [options.retry] - Overrides DEFAULT_RETRY_OPTIONS.
+   * @returns {Promise<object>} The stored document, with its new `_etag`.
+   * @throws {ConcurrencyError} When every attempt conflicted.
+   */
+  async updateWithRetry(collection, id, updater, options = {}) {
+    return retryOnConflict(async () => {
+      const existingData = await this.readExisting(collection, id);
+      const data = await updater(cloneDocument(existingData));
+      return this.writeUpdate(collection, id, data, existingData);
+    }, { ...DEFAULT_RETRY_OPTIONS, ...options.retry }, (retry, delay) =>
+      this.log(`Document ${id} changed while updating it, retrying after ${delay}ms (attempt ${retry})`)
+    );
+  }
+
+  async readExisting(collection, id) {
+    const existingData = await this.read(collection, id);
+    if (!existingData) {
+      throw new Error(`Document with id ${id} does not exist in collection ${collection}.`);
+    }
+    return existingData;
+  }
+
+  // Writes an update of existingData, provided the blob still has its version
+  async writeUpdate(collection, id, data, existingData) {
+    if (isUpdateDocument(data)) {
+      data = applyUpdate(existingData, data);
+    }
+    data.id = id;
+
+    // Load index definitions
+    const indexDefs = await this.markFieldShapes(collection, data);
+
+    // Prepare tags with only indexed fields
+    const tags = this.prepareTags(collection, data, indexDefs);
+
+    // Claim the new unique values; the old ones are released once the document is written
+    const previous = this.uniqueReservations(existingData, indexDefs);
+    const next = this.uniqueReservations(data, indexDefs);
+    const added = next.filter(reservation => !previous.some(({ name }) => name === reservation.name));
+    const removed = previous.filter(reservation => !next.some(({ name }) => name === reservation.name));
+
+    const claimed = await this.claimReservations(collection, id, added);
+
+    // Secondary index entries of the new values are written before the document,
+    // the stale ones deleted after it
+    const previousEntries = this.prepareSecondaryEntries(existingData, indexDefs);
+    const entries = this.prepareSecondaryEntries(data, indexDefs);
+    const addedEntries = new Map(Array.from(entries).filter(([name]) => !previousEntries.has(name)));
+    const staleEntries = Array.from(previousEntries.keys()).filter(name => !entries.has(name));
+
+    let eTag;
+    try {
+      await this.checkUniqueConstraintsOnUpdate(collection, data, existingData, indexDefs);
+
+      const formattedTags = this.formatTags(tags);
+
+      this.log('Updating document with tags:', formattedTags);
+
+      await this.writeSecondaryEntries(collection, addedEntries);
+
+      // Overwrite the blob with new data and tags
+      ({ eTag } = await this.writeBlob(collection, id, JSON.stringify(data), {
+        tags: formattedTags,
+        ifMatch: existingData._etag,
+      }));
+    } catch (error) {
+      await this.releaseReservations(collection, id, claimed);
+      await this.deleteSecondaryEntries(collection, Array.from(addedEntries.keys()));
+      if (error.statusCode === 412 || error.statusCode === 409) {
+        throw staleVersion(collection, id);
+      }
+      throw error;
+    }
+
+    await this.releaseReservations(collection, id, removed);
+    await this.deleteSecondaryEntries(collection, staleEntries);
+    return withVersion(JSON.parse(JSON.stringify(data)), eTag);
+  }
+
+  /**
+   * Deletes a document. Deleting a missing document is not an error, unless
+   * options.ifMatch is given.
+   *
+   * @param {object} [options]
+   * @param {string} [options.ifMatch] - Only delete the document if its version (`_etag`)
+   *   still is this one.
+   * @throws {ConcurrencyError} When ifMatch is stale.
+   */
+  async delete(collection, id, options = {}) {
+    // The unique values and secondary index entries of the document are released after it is gone
+    const indexDefs = await this.loadIndexDefinitions(collection);
+    const existingData = this.uniqueIndexes(indexDefs).length > 0 || this.usesSecondaryStore(indexDefs)
+      ? await this.read(collection, id)
+      : null;
+
+    try {
+      await this.deleteBlob(collection, id, { ifMatch: options.ifMatch });
+    } catch (error) {
+      if (error.statusCode === 412) {
+        throw staleVersion(collection, id);
+      }
+      throw error;
+    }
+
+    if (existingData) {
+      await this.releaseReservations(collection, id, this.uniqueReservations(existingData, indexDefs));
+      await this.deleteSecondaryEntries(collection, Array.from(this.prepareSecondaryEntries(existingData, indexDefs).keys()));
+    }
+  }
+
+  /**
+   * Creates several documents, as create does for each of them. A document
+   * with an `id` is stored under it; when that id is taken, its insert fails
+   * and the stored document is left as it is.
+   *
+   * @param {object[]} documents
+   * @param {object} [options]
+   * @param {boolean} [options.ordered=true] - Write the documents one after the other and
+   *   stop at the first failure. Unordered writes attempt every document.
+   * @param {number} [options.concurrency=8] - Writes in flight when unordered.
+   * @returns {Promise<{ insertedCount: number, updatedCount: number, deletedCount: number,
+   *   results: object[] }>} One result per document, see bulkWrite.
+   * @throws {BulkWriteError} When a write failed.
+   */
+  async insertMany(collection, documents, options = {}) {
+    return this.bulkWrite(collection, documents.map(document => ({ insertOne: { document } })), options);
+  }
+
+  /**
+   * Applies an update document ({ $set: ... }) to every document matching a
+   * query, as update does for each of them, up to options.concurrency at a
+   * time. Every matching document is attempted.
+   *
+   * @param {object} [options] - concurrency, and retry as in update.
+   * @returns {Promise<object>} The summary of bulkWrite, one updateOne result per document.
+   * @throws {BulkWriteError} When a document could not be updated.
+   */
+  async updateMany(collection, query, update, options = {}) {
+    if (!isUpdateDocument(update)) {
+      throw new Error('updateMany requires an update document with update operators.');
+    }
+    const { concurrency = DEFAULT_WRITE_CONCURRENCY, retry } = options;
+    const matches = await this.findMatches(collection, query, { concurrency });
+
+    return this.runBulkOperations(matches.map(({ id }) => ({
+      operation: 'updateOne',
+      id,
+      execute: () => this.update(collection, id, update, { retry }),
+    })), { ordered: false, concurrency });
+  }
+
+  /**
+   * Deletes every document matching a query. Backends with batch deletes
+   * (deleteBlobs) remove the documents in batches; the others one by one, up
+   * to options.concurrency at a time. Unique value reservations and secondary
+   * index entries are released afterwards, as delete does.
+   *
+   * @param {object} [options] - concurrency.
+   * @returns {Promise<object>} The summary of bulkWrite, one deleteOne result per document.
+   * @throws {BulkWriteError} When a document could not be deleted.
+   */
+  async deleteMany(collection, query, options = {}) {
+    const { concurrency = DEFAULT_WRITE_CONCURRENCY } = options;
+    const indexDefs = await this.loadIndexDefinitions(collection);
+    // Reservations and secondary index entries are found from the document content
+    const release = this.uniqueIndexes(indexDefs).length > 0 || this.usesSecondaryStore(indexDefs);
+    const matches = await this.findMatches(collection, query, { documents: release, concurrency });
+    const ids = matches.map(({ id }) => id);
+
+    let errors;
+    if (this.implements('deleteBlobs')) {
+      this.log(`Deleting ${ids.length} documents in batches from collection ${collection}`);
+      errors = await this.deleteBlobs(collection, ids);
+    } else {
+      errors = await collect(readAhead(ids, concurrency, id => this.deleteBlob(collection, id).then(() => null, error => error)));
+    }
+
+    const operations = matches.map((existingData, index) => ({
+      operation: 'deleteOne',
+      id: existingData.id,
+      execute: async () => {
+        if (errors[index]) {
+          throw errors[index];
+        }
+        if (release) {
+          await this.releaseReservations(collection, existingData.id, this.uniqueReservations(existingData, indexDefs));
+          await this.deleteSecondaryEntries(collection, Array.from(this.prepareSecondaryEntries(existingData, indexDefs).keys()));
+        }
+      },
+    }));
+    return this.runBulkOperations(operations, { ordered: false, concurrency });
+  }
+
+  /**
+   * Runs a mix of writes on a collection, in order, or up to
+   * options.concurrency at a time when options.ordered is false:
+   *
+   *   { insertOne: { document } }               as create, failing when document.id is taken
+   *   { updateOne: { id, update, ifMatch } }    as update, with a replacement or update document
+   *   { deleteOne: { id, ifMatch } }            as delete
+   *
+   * @param {object[]} operations
+   * @param {object} [options] - ordered and concurrency, see insertMany.
+   * @returns {Promise<{ insertedCount: number, updatedCount: number, deletedCount: number,
+   *   results: object[] }>} results holds { index, operation, id, status } for each
+   *   operation, in order: status is 'ok', 'failed' (with the error in `error`) or
+   *   'skipped' for the operations an ordered write did not start. deleteOne counts
+   *   missing documents as deleted, as delete ignores them.
+   * @throws {BulkWriteError} When an operation failed, with the same summary in `result`.
+   */
+  async bulkWrite(collection, operations, options = {}) {
+    const { ordered = true, concurrency = DEFAULT_WRITE_CONCURRENCY } = options;
+
+    const bulkOperations = operations.map((operation, index) => {
+      const names = Object.keys(operation || {});
+      if (names.length !== 1 || !(names[0] in BULK_OPERATIONS)) {
+        throw new Error(`Unsupported bulk write operation at index ${index}: ${JSON.stringify(operation)}`);
+      }
+      const [name] = names;
+      const { document, id, update, ifMatch } = operation[name];
+
+      switch (name) {
+        case 'insertOne':
+          return { operation: name, id: document && document.id, execute: () => this.create(collection, document, document.id, { ifNotExists: true }) };
+        case 'updateOne':
+          return { operation: name, id, execute: () => this.update(collection, id, update, { ifMatch }) };
+        default:
+          return { operation: name, id, execute: () => this.delete(collection, id, { ifMatch }) };
+      }
+    });
+
+    return this.runBulkOperations(bulkOperations, { ordered, concurrency });
+  }
+
+  // Runs { operation, id, execute } bulk operations, one at a time when
+  // ordered and otherwise with at most concurrency in flight, and summarizes
+  // their results, see bulkWrite
+  async runBulkOperations(operations, { ordered, concurrency }) {
+    const results = new Array(operations.length);
+    let next = 0;
+    let stopped = false;
+
+    const worker = async () => {
+      while (next < operations.length && !stopped) {
+        const index = next++;
+        const { operation, id, execute } = operations[index];
+        try {
+          const outcome = await execute();
+          results[index] = { index, operation, id: operation === 'insertOne' ? outcome : id, status: 'ok' };
+        } catch (error) {
+          results[index] = { index, operation, id, status: 'failed', error };
+          stopped = ordered;
+        }
+      }
+    };
+    const workers = ordered ? 1 : Math.min(Math.max(1, concurrency), operations.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    const summary = { insertedCount: 0, updatedCount: 0, deletedCount: 0, results: [] };
+    operations.forEach(({ operation, id }, index) => {
+      const result = results[index] || { index, operation, id, status: 'skipped' };
+      if (result.status === 'ok') {
+        summary[BULK_OPERATIONS[operation]]++;
+      }
+      summary.results.push(result);
+    });
+
+    const failed = summary.results.filter(result => result.status === 'failed');
+    if (failed.length > 0) {
+      throw new BulkWriteError(
+        `${failed.length} of ${operations.length} bulk write operations failed, the first with: ${failed[0].error.message}`,
+        summary
+      );
+    }
+    return summary;
+  }
+
+  // The documents a query matches: read when the plan needs them or
+  // options.documents is set, otherwise only { id } from the listing
+  async findMatches(collection, query, options = {}) {
+    const { documents = false, concurrency = DEFAULT_READ_CONCURRENCY } = options;
+    const plan = await this.planQuery(collection, query);
+
+    if (documents || Object.keys(plan.residualQuery).length > 0) {
+      return collect(this.scanDocuments(collection, plan, { concurrency }));
+    }
+
+    const matches = [];
+    for await (const page of this.listPlanBlobs(collection, plan)) {
+      page.names.filter(name => !name.startsWith('__')).forEach(id => matches.push({ id }));
+    }
+    return matches;
+  }
+
+  /**
+   * Deletes the unique value reservations left behind by writes that failed
+   * halfway: those older than the reservation timeout whose document does not
+   * hold the reserved value anymore. Writes take such reservations over when
+   * they need them, so this only reclaims storage.
+   *
+   * @returns {Promise<number>} The number of reservations deleted.
+   */
+  async cleanupReservations(collection) {
+    const indexDefs = await this.loadIndexDefinitions(collection);
+    let deleted = 0;
+
+    for await (const page of this.listBlobs(collection)) {
+      for (const name of page.names.filter(name => name.startsWith(RESERVATION_PREFIX))) {
+        const blob = await this.readBlob(collection, name);
+        if (!blob || !(await this.isReservationOrphaned(collection, name, JSON.parse(blob.content), indexDefs))) {
+          continue;
+        }
+        try {
+          await this.deleteBlob(collection, name, { ifMatch: blob.eTag });
+          deleted++;
+        } catch (error) {
+          if (error.statusCode !== 412) throw error; // Claimed meanwhile
+        }
+      }
+    }
+
+    this.log(`Deleted ${deleted} orphaned reservations in collection ${collection}`);
+    return deleted;
+  }
+
+  /**
+   * Finds the documents matching a query, in blob listing order.
+   *
+   * The query is planned by planQuery: conditions that index tags can answer
+   * narrow down the blobs to read, and the residual conditions are always
+   * evaluated in memory on the documents read.
+   *
+   * @param {object} query - MongoDB-style query, see QueryParser.
+   * @param {object} [options]
+   * @param {number} [options.limit=Infinity]
+   * @param {number} [options.offset=0]
+   * @param {object} [options.projection] - MongoDB-style projection: { a: 1, 'b.c': 1 } returns
+   *   only these fields (and id), { a: 0 } everything but them. When every included field has
+   *   a typed index and the query has no residual conditions, documents are built from their
+   *   index tags instead of being downloaded.
+   * @param {object} [options.sort] - MongoDB-style sort, e.g. { age: -1, 'name.last': 1 },
+   *   applied before offset and limit. Sorting on `id` uses the blob listing order,
+   *   which is creation order for ULIDs. Other sorts keep the best offset + limit
+   *   documents in memory, and every matching document when there is no limit; iterate
+   *   then keeps only their sort keys and ids.
+   * @param {number} [options.batchSize=100] - Page size used when listing blobs.
+   * @param {string} [options.continuationToken] - Token returned by a previous call with
+   *   the same query, to resume where it stopped. See findPage. The offset only applies
+   *   to the first page and is ignored with a token.
+   * @returns {Promise<object[]>} The documents. When more may follow, the array also has a
+   *   non-enumerable `continuationToken` property.
+   */
+  async find(collection, query, options = {}) {
+    const { documents, continuationToken } = await this.findPage(collection, query, options);
+
+    if (continuationToken) {
+      Object.defineProperty(documents, 'continuationToken', { value: continuationToken });
+    }
+    return documents;
+  }
+
+  /**
+   * Like find, but returns the continuation token alongside the documents.
+   * Passing it back as options.continuationToken lists the next documents
+   * without rereading earlier ones: the token records the underlying page
+   * token (Azure byPage continuation) and the position inside that page.
+   * Tokens cannot be combined with a sort other than { id: 1 }.
+   *
+   * @returns {Promise<{ documents: object[], continuationToken?: string }>}
+   *   continuationToken is undefined once the results are exhausted.
+   */
+  async findPage(collection, query, options = {}) {
+    this.log(`\nQuery:`, JSON.stringify(query));
+
+    const plan = await this.planQuery(collection, query);
+    return this.executeFind(collection, plan, options);
+  }
+
+  /**
+   * Yields the documents matching a query as they are read, instead of
+   * collecting them in an array. Up to options.concurrency reads run ahead of
+   * the consumer; when the consumer stops (break, return or an error) no
+   * further blobs are listed or read.
+   *
+   * Sorted results have to be collected first: with a limit only the best
+   * offset + limit documents are kept, otherwise only the sort keys and ids
+   * are kept and the documents are read again in order.
+   *
+   * @param {object} query - MongoDB-style query, see QueryParser.
+   * @param {object} [options] - find options (limit, offset, sort, batchSize), plus:
+   * @param {number} [options.concurrency=8] - Maximum number of reads in flight.
+   * @returns {AsyncGenerator<object>}
+   */
+  async *iterate(collection, query, options = {}) {
+    const { limit = Infinity, offset = 0, batchSize = 100, concurrency = DEFAULT_READ_CONCURRENCY } = options;
+    if (options.continuationToken) {
+      throw new Error('Continuation tokens are not supported when streaming; use findPage.');
+    }
+
+    const plan = await this.planQuery(collection, query);
+    const sortSpec = parseSort(options.sort);
+    const strategy = this.sortStrategy(sortSpec, limit);
+    const projection = parseProjection(options.projection);
+
+    if (limit <= 0) {
+      return;
+    }
+
+    if (strategy === 'topK') {
+      const { documents } = await this.executeFind(collection, plan, { ...options, concurrency });
+      yield* documents;
+      return;
+    }
+
+    const readDocument = this.documentReader(collection, plan, projection, sortSpec);
+    const documents = strategy === 'inMemory'
+      ? this.sortedDocuments(collection, plan, sortSpec, { batchSize, concurrency, readDocument })
+      : this.scanDocuments(collection, plan, {
+        batchSize,
+        concurrency,
+        readDocument,
+        reverse: strategy === 'reverseListingOrder',
+      });
+
+    let index = 0;
+    for await (const doc of documents) {
+      if (index++ < offset) continue;
+      yield project(doc, projection);
+      if (index >= offset + limit) return;
+    }
+  }
+
+  /**
+   * Same as iterate, as a Node.js Readable stream in object mode. Destroying
+   * the stream stops the query.
+   *
+   * @returns {Readable}
+   */
+  findStream(collection, query, options = {}) {
+    return Readable.from(this.iterate(collection, query, options));
+  }
+
+  /**
+   * Runs a MongoDB-style aggregation pipeline ($match, $group, $sort, $limit,
+   * $skip, $project, $unwind, see Aggregation) and collects its results.
+   *
+   * @param {object[]} pipeline
+   * @param {object} [options] - batchSize and concurrency of the document reads.
+   * @returns {Promise<object[]>}
+   */
+  async aggregate(collection, pipeline, options = {}) {
+    const results = [];
+    for await (const doc of this.iterateAggregate(collection, pipeline, options)) {
+      results.push(doc);
+    }
+    return results;
+  }
+
+  /**
+   * Yields the results of an aggregation pipeline as they come out of its
+   * last stage. The leading $match stages, and a $sort, $skip and $limit
+   * right after them, run as an iterate query, so they use the indexes; the
+   * other stages process its documents one at a time.
+   *
+   * @returns {AsyncGenerator<object>}
+   */
+  async *iterateAggregate(collection, pipeline, options = {}) {
+    const { query, options: findOptions, stages } = splitPipeline(parsePipeline(pipeline));
+    const { batchSize, concurrency } = options;
+
+    this.log(`\nAggregate:`, JSON.stringify(query), `then ${stages.map(({ stage }) => stage).join(', ') || 'no stages'}`);
+    yield* runPipeline(this.iterate(collection, query, { batchSize, concurrency, ...findOptions }), stages);
+  }
+
+  /**
+   * Same as iterateAggregate, as a Node.js Readable stream in object mode.
+   *
+   * @returns {Readable}
+   */
+  aggregateStream(collection, pipeline, options = {}) {
+    return Readable.from(this.iterateAggregate(collection, pipeline, options));
+  }
+
+  /**
+   * Describes how a query is executed: the tag filter pushed down to the
+   * storage, the residual conditions evaluated in memory, the index used and
+   * the scan type. Unless options.execute is false the query is also run, and
+   * executionStats compares the blobs listed with the documents returned.
+   *
+   * @param {object} query - MongoDB-style query, see QueryParser.
+   * @param {object} [options] - find options, plus:
+   * @param {boolean} [options.execute=true]
+   * @returns {Promise<object>}
+   */
+  async explain(collection, query, options = {}) {
+    const { execute = true, ...findOptions } = options;
+    const plan = await this.planQuery(collection, query);
+    const indexDefs = await this.loadIndexDefinitions(collection);
+
+    // One filter per findBlobsByTags request ($in and $or alternatives)
+    const tagQueries = plan.scanType === 'tags'
+      ? expandTagConditions(plan.tagConditions).map(branch =>
+        branch.map(({ field, condition }) => operatorToTagCondition(field, condition)).join(' AND ')
+      )
+      : [];
+
+    const pushedFields = Array.from(new Set([
+      ...expandTagConditions(plan.tagConditions).flat().map(({ field }) => field),
+      ...plan.secondaryConditions.map(({ field }) => field),
+    ]));
+    const indexUsed = pushedFields.length > 0
+      ? this.findUsableCompoundIndex(Object.fromEntries(pushedFields.map(field => [field, true])), indexDefs)
+      : null;
+
+    const sortSpec = parseSort(findOptions.sort);
+    const explanation = {
+      collection,
+      query,
+      scanType: plan.scanType,
+      sort: this.sortStrategy(sortSpec, findOptions.limit),
+      projectionCoveredByTags: this.isProjectionCovered(parseProjection(findOptions.projection), indexDefs, plan, sortSpec),
+      tagFilter: tagQueries.length > 0 ? tagQueries.map(filter => `(${filter})`).join(' OR ') : null,
+      tagQueries,
+      secondaryConditions: plan.secondaryConditions,
+      residualQuery: plan.residualQuery,
+      indexUsed,
+    };
+
+    if (execute) {
+      const stats = { blobsListed: 0, documentsRead: 0 };
+      const startTime = Date.now();
+      const { documents } = await this.executeFind(collection, plan, findOptions, stats);
+      explanation.executionStats = {
+        ...stats,
+        documentsReturned: documents.length,
+        executionTimeMs: Date.now() - startTime,
+      };
+    }
+
+    return explanation;
+  }
+
+  // Runs a planned find. stats, when given, counts blobs listed and documents read.
+  async executeFind(collection, plan, options = {}, stats = undefined) {
+    const { limit = Infinity, concurrency = 1 } = options;
+    // The offset was skipped on the first page; tokens resume after it
+    const offset = options.continuationToken ? 0 : options.offset || 0;
+    const sortSpec = parseSort(options.sort);
+    const strategy = this.sortStrategy(sortSpec, limit);
+    const projection = parseProjection(options.projection);
+    const wanted = offset + limit;
+
+    let batchSize = options.batchSize || 100;
+    let position;
+    if (options.continuationToken) {
+      if (strategy !== 'none' && strategy !== 'listingOrder') {
+        throw new Error('Continuation tokens can only be used without sort or with sort { id: 1 }.');
+      }
+      position = decodeContinuationToken(options.continuationToken);
+      // Page tokens are only valid with the page size they were issued for
+      batchSize = position.pageSize;
+    }
+
+    let results = [];
+    const cursor = { pageToken: position && position.pageToken, skip: position ? position.skip : 0, done: false };
+
+    if (limit > 0) {
+      const documents = this.scanDocuments(collection, plan, {
+        batchSize,
+        stats,
+        concurrency,
+        readDocument: this.documentReader(collection, plan, projection, sortSpec),
+        reverse: strategy === 'reverseListingOrder',
+        cursor,
+      });
+
+      if (strategy === 'topK' || strategy === 'inMemory') {
+        this.log(`Sorting results in memory (${strategy})`);
+        const compare = compareDocuments(sortSpec);
+
+        for await (const doc of documents) {
+          results.push(doc);
+          // Only the first offset + limit documents can be returned, so the
+          // buffer is trimmed back to that size whenever it doubles
+          if (results.length >= 2 * wanted) {
+            results = results.sort(compare).slice(0, wanted);
+          }
+        }
+        results.sort(compare);
+      } else {
+        // Listing order already is the requested order: stop as soon as possible
+        for await (const doc of documents) {
+          results.push(doc);
+          if (results.length >= wanted) break;
+        }
+      }
+    }
+
+    this.log(`Found ${results.length} documents before pagination`);
+
+    // Apply offset and limit
+    results = results.slice(offset, offset + limit).map(doc => project(doc, projection));
+
+    this.log(`Returning ${results.length} documents after pagination`);
+
+    const resumable = (strategy === 'none' || strategy === 'listingOrder') && limit > 0 && !cursor.done;
+    return {
+      documents: results,
+      continuationToken: resumable ? encodeContinuationToken({ ...cursor, pageSize: batchSize }) : undefined,
+    };
+  }
+
+  // How results get into sort order. Blob names are document ids and every
+  // backend lists them in name order, so a sort on id (creation order for
+  // ULIDs) only needs to walk the listing forwards or backwards.
+  sortStrategy(sortSpec, limit = Infinity) {
+    if (sortSpec.length === 0) {
+      return 'none';
+    }
+    if (sortSpec[0].path === 'id') {
+      return sortSpec[0].direction === 1 ? 'listingOrder' : 'reverseListingOrder';
+    }
+    return Number.isFinite(limit) ? 'topK' : 'inMemory';
+  }
+
+  /**
+   * Counts the documents matching a query. Uses the same plan as `find`, so
+   * both always agree; documents are only read when the plan has residual
+   * conditions.
+   *
+   * @returns {Promise<number>}
+   */
+  async countDocuments(collection, query = {}) {
+    const plan = await this.planQuery(collection, query);
+    let count = 0;
+
+    // Residual conditions need the document bodies
+    if (Object.keys(plan.residualQuery).length > 0) {
+      for await (const doc of this.scanDocuments(collection, plan)) {
+        count++;
+      }
+      return count;
+    }
+
+    for await (const page of this.listPlanBlobs(collection, plan)) {
+      for (const name of page.names) {
+        if (name.startsWith('__')) {
+          continue; // Skip system blobs
+        }
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Creates (or updates the options of) an index on one or more fields.
+   * Index definitions are stored in the "__collection_indexes" blob and
+   * updated with optimistic concurrency, retrying on conflicts.
+   *
+   * @param {string|string[]} fields
+   * @param {object} [options]
+   * @param {boolean} [options.unique=false] - On several fields, the combination of their
+   *   values is unique, not each field. Enabling it on a collection with documents requires
+   *   backfill, which reserves their values.
+   * @param {string} [options.type] - 'string', 'number' or 'date' to declare the value type
+   *   of the indexed fields. Values are coerced to that type, and encoded so that range
+   *   queries compare them in their natural order. Without a type, each value is encoded
+   *   according to its JavaScript type. 'text' creates the full-text index of the collection,
+   *   which $text queries search: the words of the fields are kept as terms in the secondary
+   *   index store. A collection has at most one, which takes no other option than backfill.
+   * @param {string} [options.granularity] - 'hourly', 'daily' or 'monthly', on a single-field
+   *   'date' index: documents also get a tag with the bucket of the value, which $bucket
+   *   queries look up by equality.
+   * @param {string} [options.timeZone='UTC'] - IANA time zone of a 'date' index, in which
+   *   buckets are taken and strings without a UTC offset are read.
+   * @param {boolean} [options.hashed] - Store a SHA-256 hash of the values instead of the
+   *   values, for fields holding personal data. Hashed fields only support equality queries.
+   *   A field is hashed or not in all of its indexes.
+   * @param {string} [options.store] - 'tags' or 'secondary'. By default, new fields are kept
+   *   in the tags of the documents while they fit in the 10 tags Azure allows, and in the
+   *   secondary index store beyond that. The planner uses the tags when it can.
+   * @param {boolean} [options.backfill=false] - Tag the documents written before the index
+   *   existed, see rebuildIndexes.
+   * @param {function(object)} [options.onProgress] - Progress callback of the backfill.
+   * @param {object} [options.retry] - Overrides DEFAULT_RETRY_OPTIONS.
+   * @returns {Promise<object|undefined>} The rebuildIndexes summary when backfilling.
+   * @throws When enabling a unique constraint that existing documents violate, or without
+   *   backfill on a collection with documents.
+   */
+  async createIndex(collection, fields, options = {}) {
+    const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
+    const { unique = false, type, backfill = false, granularity, timeZone, hashed, store } = options;
+
+    if (!Array.isArray(fields)) {
+      fields = [fields];
+    }
+    if (type !== undefined && !INDEX_TYPES.has(type)) {
+      throw new Error(`Unsupported index type "${type}".`);
+    }
+    if (type === TEXT_INDEX_TYPE) {
+      return this.createTextIndex(collection, fields, options);
+    }
+    const valueType = Object.values(TagType).includes(type) ? type : undefined;
+
+    if ((granularity !== undefined || timeZone !== undefined) && valueType !== TagType.DATE) {
+      throw new Error('The granularity and timeZone options require an index of type "date".');
+    }
+    if (granularity !== undefined && !Object.values(DateGranularity).includes(granularity)) {
+      throw new Error(`Unsupported date granularity "${granularity}".`);
+    }
+    if (granularity !== undefined && fields.length > 1) {
+      throw new Error('A granularity can only be set on an index of a single field.');
+    }
+    if (timeZone !== undefined && !isTimeZone(timeZone)) {
+      throw new Error(`Unknown time zone "${timeZone}".`);
+    }
+    if (store !== undefined && !Object.values(IndexStore).includes(store)) {
+      throw new Error(`Unsupported index store "${store}".`);
+    }
+    const dateOptions = valueType === TagType.DATE
+      ? { ...(granularity && { granularity }), ...(timeZone && { timeZone }) }
+      : {};
+
+    // Create a compound index identifier
+    const indexId = fields.join('_');
+
+    // Existing documents have to satisfy a unique constraint before it is
+    // enabled, and their values have to be reserved by a backfill
+    const currentIndex = (await this.loadIndexDefinitions(collection)).indexes.get(indexId);
+    if (unique && !(currentIndex && currentIndex.unique)) {
+      if (!backfill && await this.hasDocuments(collection)) {
+        throw new Error(
+          `Cannot create unique index on "${fields.join('", "')}": collection "${collection}" has documents, ` +
+          'whose values are only reserved with { backfill: true }.'
+        );
+      }
+      await this.validateUniqueIndex(collection, fields, valueType);
+    }
+
+    // A new index, or new date options, only cover existing documents once they are backfilled
+    const retag = !currentIndex || (valueType === TagType.DATE &&
+      (currentIndex.granularity !== granularity || currentIndex.timeZone !== timeZone));
+    let status = IndexStatus.READY;
+    if (backfill) {
+      status = IndexStatus.BUILDING;
+    } else if (retag && await this.hasDocuments(collection)) {
+      status = IndexStatus.PENDING;
+    }
+
+    await retryOnConflict(async () => {
+      // Load existing index definitions
+      const indexDefs = await this.loadIndexDefinitions(collection);
+
+      if (valueType) {
+        for (const field of fields) {
+          const existingType = indexDefs.fieldTypes[field];
+          if (existingType && existingType !== valueType) {
+            throw new Error(`Field "${field}" is already indexed with type "${existingType}".`);
+          }
+        }
+      }
+
+      if (hashed !== undefined) {
+        for (const field of fields) {
+          if (indexDefs.indexedFields.has(field) && indexDefs.hashedFields.has(field) !== Boolean(hashed)) {
+            throw new Error(`Field "${field}" is already indexed ${hashed ? 'without' : 'with'} hashing.`);
+          }
+        }
+      }
+
+      if (store !== undefined) {
+        for (const field of fields) {
+          if (indexDefs.indexedFields.has(field) && this.getIndexStore(field, indexDefs) !== store) {
+            throw new Error(`Field "${field}" is already indexed in the ${this.getIndexStore(field, indexDefs)} store.`);
+          }
+        }
+      }
+      const newFields = fields.filter(field => !indexDefs.indexedFields.has(field));
+
+      // New fields overflow to the secondary index store once the tags are used up
+      const previousIndex = indexDefs.indexes.get(indexId);
+      const addedBucket = dateOptions.granularity && !(previousIndex && previousIndex.granularity);
+      const tagsNeeded = this.countTags(indexDefs) + newFields.length +
+        (addedBucket && this.getIndexStore(fields[0], indexDefs) === IndexStore.TAGS ? 1 : 0);
+      const toSecondary = newFields.length > 0 && (store === IndexStore.SECONDARY ||
+        (store === undefined && tagsNeeded > MAX_TAGS_PER_DOCUMENT));
+      if (!toSecondary && tagsNeeded > MAX_TAGS_PER_DOCUMENT) {
+        throw new Error(`The indexes of collection "${collection}" would need more than ${MAX_TAGS_PER_DOCUMENT} tags per document.`);
+      }
+
+      if (indexDefs.indexes.has(indexId)) {
+        // Update existing index
+        const existingIndex = indexDefs.indexes.get(indexId);
+        existingIndex.unique = unique;
+        if (valueType) {
+          existingIndex.type = valueType;
+        }
+        if (valueType === TagType.DATE) {
+          delete existingIndex.granularity;
+          delete existingIndex.timeZone;
+          Object.assign(existingIndex, dateOptions);
+        }
+        if (backfill || retag) {
+          existingIndex.status = status;
+        }
+      } else {
+        // Add new index
+        indexDefs.indexes.set(indexId, valueType
+          ? { fields, unique, type: valueType, ...dateOptions, status }
+          : { fields, unique, status });
+      }
+
+      // Update individual field indexing information
+      for (const field of fields) {
+        indexDefs.indexedFields.add(field);
+        if (valueType) {
+          indexDefs.fieldTypes[field] = valueType;
+        }
+        if (hashed) {
+          indexDefs.hashedFields.add(field);
+        }
+      }
+      indexDefs.uniqueFields = uniqueFieldsOf(indexDefs.indexes);
+
+      if (toSecondary) {
+        newFields.forEach(field => indexDefs.secondaryFields.add(field));
+      }
+
+      // Save updated index definitions
+      await this.saveIndexDefinitions(collection, indexDefs);
+    }, retryOptions, (attempt, delay) =>
+      this.log(`Retrying createIndex for collection "${collection}" after ${delay}ms (attempt ${attempt})`)
+    );
+
+    if (backfill) {
+      return this.rebuildIndexes(collection, { onProgress: options.onProgress });
+    }
+  }
+
+  // Creates the text index of a collection, see createIndex. Its name is the
+  // fields followed by "_text", so that it can sit next to a regular index on
+  // the same fields.
+  async createTextIndex(collection, fields, options) {
+    const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
+    const { backfill = false } = options;
+    for (const option of ['unique', 'hashed', 'granularity', 'timeZone', 'store']) {
+      if (options[option]) {
+        throw new Error(`A text index does not support the ${option} option.`);
+      }
+    }
+    const indexId = `${fields.join('_')}_${TEXT_INDEX_TYPE}`;
+
+    const currentIndex = this.getTextIndex(await this.loadIndexDefinitions(collection));
+    let status = IndexStatus.READY;
+    if (backfill) {
+      status = IndexStatus.BUILDING;
+    } else if (!currentIndex && await this.hasDocuments(collection)) {
+      status = IndexStatus.PENDING;
+    }
+
+    await retryOnConflict(async () => {
+      const indexDefs = await this.loadIndexDefinitions(collection);
+      const textIndex = this.getTextIndex(indexDefs);
+      if (textIndex && !isDeepStrictEqual(textIndex.fields, fields)) {
+        throw new Error(`Collection "${collection}" already has a text index on "${textIndex.fields.join('", "')}".`);
+      }
+      if (textIndex && !backfill) {
+        return;
+      }
+
+      indexDefs.indexes.set(indexId, { fields, unique: false, type: TEXT_INDEX_TYPE, status });
+      await this.saveIndexDefinitions(collection, indexDefs);
+    }, retryOptions, (attempt, delay) =>
+      this.log(`Retrying createIndex for collection "${collection}" after ${delay}ms (attempt ${attempt})`)
+    );
+
+    if (backfill) {
+      return this.rebuildIndexes(collection, { onProgress: options.onProgress });
+    }
+  }
+
+  /**
+   * Brings the index tags of every document in line with the index
+   * definitions, for documents written before an index existed or with
+   * another type, and reserves the values of unique indexes. Tags are
+   * replaced with setBlobTags when the backend has it, so documents are not
+   * uploaded again.
+   *
+   * Progress is checkpointed in the "__index_rebuild" blob after every page
+   * of documents: after a crash, calling rebuildIndexes again resumes after
+   * the last completed page, unless the index definitions changed meanwhile;
+   * the rebuild then starts over for the indexes of both.
+   *
+   * @param {object} [options]
+   * @param {number} [options.batchSize=100] - Documents per page and checkpoint.
+   * @param {number} [options.concurrency=8] - Documents processed in parallel.
+   * @param {function({ processed: number, retagged: number })} [options.onProgress] - Called
+   *   after every page.
+   * @returns {Promise<{ processed: number, retagged: number, resumed: boolean }>}
+   * @throws When documents violate a unique index. The error lists them in `violations`
+   *   as { id, fields }; all other documents are rebuilt.
+   */
+  async rebuildIndexes(collection, options = {}) {
+    const { batchSize = 100, concurrency = DEFAULT_READ_CONCURRENCY, onProgress = () => {} } = options;
+
+    const indexDefs = await this.loadIndexDefinitions(collection);
+    const signature = indexSignature(indexDefs);
+    const blob = await this.readBlob(collection, REBUILD_CHECKPOINT);
+    const checkpoint = blob && JSON.parse(blob.content);
+    const resumed = Boolean(checkpoint && checkpoint.signature === signature);
+
+    let progress;
+    if (resumed) {
+      progress = checkpoint;
+      this.log(`Resuming the index rebuild of collection ${collection} after ${progress.processed} documents`);
+    } else {
+      if (checkpoint) {
+        this.log(`Index definitions of collection ${collection} changed since the interrupted rebuild, starting over`);
+      }
+      // The indexes defined now, and those of an interrupted rebuild, are complete once the rebuild finishes
+      const indexes = new Set([...(checkpoint ? checkpoint.indexes : []), ...indexDefs.indexes.keys()]);
+      progress = {
+        continuationToken: null,
+        done: false,
+        processed: 0,
+        retagged: 0,
+        violations: [],
+        indexes: Array.from(indexes),
+        signature,
+      };
+      await this.setIndexStatus(collection, progress.indexes, IndexStatus.BUILDING);
+    }
+
+    if (!progress.done) {
+      const pages = this.listBlobs(collection, {
+        maxPageSize: batchSize,
+        continuationToken: progress.continuationToken || undefined,
+      });
+
+      for await (const page of pages) {
+        const names = page.names.filter(name => !name.startsWith('__'));
+        for await (const result of readAhead(names, concurrency, name => this.reindexDocument(collection, name))) {
+          progress.processed++;
+          if (result.retagged) progress.retagged++;
+          if (result.violation) progress.violations.push(result.violation);
+        }
+
+        progress.continuationToken = page.continuationToken || null;
+        progress.done = !page.continuationToken;
+        await this.writeBlob(collection, REBUILD_CHECKPOINT, JSON.stringify(progress));
+
+        this.log(`Rebuilt indexes of ${progress.processed} documents in collection ${collection}`);
+        onProgress({ processed: progress.processed, retagged: progress.retagged });
+      }
+    }
+
+    // Every document has been re-tagged with the current encoding
+    await this.setIndexStatus(
+      collection,
+      progress.indexes,
+      progress.violations.length > 0 ? IndexStatus.PENDING : IndexStatus.READY,
+      { tagEncoding: TAG_ENCODING_VERSION }
+    );
+    await this.deleteBlob(collection, REBUILD_CHECKPOINT);
+
+    if (progress.violations.length > 0) {
+      const error = new Error(
+        `Unique constraint violation: ${progress.violations.length} documents share unique values with other documents.`
+      );
+      error.violations = progress.violations;
+      throw error;
+    }
+
+    return { processed: progress.processed, retagged: progress.retagged, resumed };
+  }
+
+  /**
+   * @returns {Promise<string[]>} Names of all collections.
+   */
+  async listCollections() {
+    const containerNames = await this.listContainers();
+    return containerNames.filter(name => !name.startsWith('__') && !name.includes(SECONDARY_INDEX_CONTAINER_PREFIX));
+  }
+
+  /**
+   * Deletes a collection with all its documents and index definitions.
+   */
+  async dropCollection(collection) {
+    const indexDefs = await this.loadIndexDefinitions(collection);
+    await this.deleteContainer(collection);
+    if (this.usesSecondaryStore(indexDefs)) {
+      await this.deleteContainer(secondaryIndexContainer(collection));
+    }
+
+    // Remove index definitions cache
+    delete this.indexDefinitions[collection];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Blob primitives, implemented by each backend
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @returns {Promise<{ content: string, eTag: string }|null>} null when the blob does not exist.
+   */
+  async readBlob(collection, name) {
+    throw notImplemented(this, 'readBlob');
+  }
+
+  /**
+   * Creates or replaces a blob.
+   *
+   * @param {object} [options]
+   * @param {object} [options.tags] - Index tags; replace any previous tags of the blob.
+   * @param {string} [options.ifMatch] - Only write if the current ETag matches.
+   * @param {string} [options.ifNoneMatch] - '*' to only write if the blob does not exist.
+   * @returns {Promise<{ eTag: string }>}
+   * @throws An error with `statusCode` 412 (or 409) when a condition is not met.
+   */
+  async writeBlob(collection, name, content, options = {}) {
+    throw notImplemented(this, 'writeBlob');
+  }
+
+  /**
+   * Deletes a blob and its tags. Deleting a missing blob is not an error,
+   * unless options.ifMatch is given.
+   *
+   * @param {object} [options]
+   * @param {string} [options.ifMatch] - Only delete the blob if its ETag is this one,
+   *   otherwise throw an error with `statusCode` 412.
+   */
+  async deleteBlob(collection, name, options = {}) {
+    throw notImplemented(this, 'deleteBlob');
+  }
+
+  /**
+   * Lists every blob of a collection, system blobs included, sorted by name.
+   *
+   * @param {object} [options]
+   * @param {number} [options.maxPageSize]
+   * @param {string} [options.continuationToken] - Resume after the page that returned this token.
+   * @param {string} [options.prefix] - Only list the blobs whose name starts with this. Backends
+   *   may ignore it; callers filter the names again.
+   * @returns {AsyncIterable<{ names: string[], continuationToken?: string }>} Pages of blob
+   *   names. continuationToken is set on every page but the last.
+   */
+  async *listBlobs(collection, options = {}) {
+    throw notImplemented(this, 'listBlobs');
+  }
+
+  /**
+   * Lists the blobs whose tags satisfy every condition.
+   *
+   * @param {Array<{ field: string, condition: { operator: string, value: * } }>} tagConditions -
+   *   Conditions use operators from TAG_OPERATORS. Values are already encoded tag values
+   *   (see encodeTagValueForField); compare them with the stored tags as strings.
+   * @param {object} [options]
+   * @param {number} [options.maxPageSize]
+   * @param {string} [options.continuationToken] - Resume after the page that returned this token.
+   * @returns {AsyncIterable<{ names: string[], continuationToken?: string }>} Pages of blob
+   *   names, sorted by name. continuationToken is set on every page but the last.
+   */
+  async *findBlobsByTags(collection, tagConditions, options = {}) {
+    throw notImplemented(this, 'findBlobsByTags');
+  }
+
+  /**
+   * Optional: returns the index tags of a blob without downloading it, or null
+   * when the blob does not exist. Lets find answer projections covered by
+   * index tags; backends that do not implement it always read documents.
+   *
+   * @returns {Promise<object|null>}
+   */
+  async readBlobTags(collection, name) {
+    throw notImplemented(this, 'readBlobTags');
+  }
+
+  /**
+   * Optional: replaces the tags of a blob without changing its content or
+   * ETag, and does nothing when the blob does not exist. Lets rebuildIndexes
+   * re-tag documents; backends that do not implement it upload them again.
+   */
+  async setBlobTags(collection, name, tags) {
+    throw notImplemented(this, 'setBlobTags');
+  }
+
+  /**
+   * Optional: deletes several blobs in as few requests as the backend allows,
+   * ignoring missing ones. Lets deleteMany use batch deletes; backends that do
+   * not implement it delete the blobs one by one with deleteBlob.
+   *
+   * @returns {Promise<Array<Error|null>>} The error of each deletion, in the order of
+   *   names; null when it succeeded.
+   */
+  async deleteBlobs(collection, names) {
+    throw notImplemented(this, 'deleteBlobs');
+  }
+
+  /**
+   * @returns {Promise<string[]>} Names of all collections.
+   */
+  async listContainers() {
+    throw notImplemented(this, 'listContainers');
+  }
+
+  /**
+   * Deletes a collection and every blob in it.
+   */
+  async deleteContainer(collection) {
+    throw notImplemented(this, 'deleteContainer');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Shared helpers
+  // ---------------------------------------------------------------------------
+
+  async loadIndexDefinitions(collection) {
+    if (collection.toLowerCase().includes(SECONDARY_INDEX_CONTAINER_PREFIX)) {
+      throw new Error(`Collection names cannot contain "${SECONDARY_INDEX_CONTAINER_PREFIX}", which names secondary index stores.`);
+    }
+    if (this.indexDefinitions[collection]) {
+      return this.indexDefinitions[collection];
+    }
+
+    const blob = await this.readBlob(collection, '__collection_indexes');
+
+    let indexDefs;
+    if (blob) {
+      indexDefs = JSON.parse(blob.content);
+
+      // Convert arrays back to sets
+      indexDefs.indexedFields = new Set(indexDefs.indexedFields);
+      indexDefs.indexes = new Map(Object.entries(indexDefs.indexes || {}));
+      // Derived from the indexes: older definitions listed every field of compound unique indexes
+      indexDefs.uniqueFields = uniqueFieldsOf(indexDefs.indexes);
+      indexDefs.multikeyFields = new Set(indexDefs.multikeyFields);
+      // Before hashing was an index option, email and username were always hashed
+      indexDefs.hashedFields = new Set(indexDefs.hashedFields ||
+        Array.from(indexDefs.indexedFields).filter(field => LEGACY_HASHED_FIELDS.includes(field)));
+      indexDefs.secondaryFields = new Set(indexDefs.secondaryFields);
+      indexDefs.truncatedFields = new Set(indexDefs.truncatedFields);
+      // Definitions without a version were written at version 2 when they have field types
+      indexDefs.tagEncoding = indexDefs.tagEncoding || (indexDefs.fieldTypes ? TAG_ENCODING_VERSION : 1);
+      indexDefs.fieldTypes = indexDefs.fieldTypes || {};
+      indexDefs.eTag = blob.eTag;
+    } else {
+      // No index definitions exist yet
+      indexDefs = {
+        indexedFields: new Set(),
+        uniqueFields: new Set(),
+        indexes: new Map(),
+        fieldTypes: {},
+        multikeyFields: new Set(),
+        hashedFields: new Set(),
+        secondaryFields: new Set(),
+        truncatedFields: new Set(),
+        tagEncoding: TAG_ENCODING_VERSION,
+        eTag: undefined,
+      };
+    }
+
+    // Cache the index definitions
+    this.indexDefinitions[collection] = indexDefs;
+    return indexDefs;
+  }
+
+  async saveIndexDefinitions(collection, indexDefs) {
+    // Prepare data for storage
+    const data = {
+      indexedFields: Array.from(indexDefs.indexedFields),
+      uniqueFields: Array.from(indexDefs.uniqueFields),
+      indexes: Object.fromEntries(indexDefs.indexes),
+      fieldTypes: indexDefs.fieldTypes,
+      multikeyFields: Array.from(indexDefs.multikeyFields),
+      hashedFields: Array.from(indexDefs.hashedFields),
+      secondaryFields: Array.from(indexDefs.secondaryFields),
+      truncatedFields: Array.from(indexDefs.truncatedFields),
+      tagEncoding: indexDefs.tagEncoding,
+    };
+
+    // Implement concurrency control with ETag
+    const conditions = indexDefs.eTag ? { ifMatch: indexDefs.eTag } : { ifNoneMatch: '*' };
+
+    try {
+      const { eTag } = await this.writeBlob(collection, '__collection_indexes', JSON.stringify(data), conditions);
+      // Update eTag
+      indexDefs.eTag = eTag;
+      // Update cache
+      this.indexDefinitions[collection] = indexDefs;
+    } catch (error) {
+      if (error.statusCode === 412 || error.statusCode === 409) {
+        // ETag mismatch; reload index definitions and throw error to prompt retry
+        delete this.indexDefinitions[collection];
+        await this.loadIndexDefinitions(collection);
+        throw new ConcurrencyError(
+          `Concurrent modification detected while updating index definitions for collection "${collection}". Please retry the operation.`,
+          { collection, id: '__collection_indexes' }
+        );
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  // A tag holds a single value, so an indexed path that holds an array (or
+  // crosses one) cannot be answered from tags. Such fields are recorded in the
+  // index definitions and the planner filters them in memory from then on.
+  // Likewise, a tag only holds the first MAX_TAG_VALUE_LENGTH characters of
+  // a longer value; tag conditions on such truncated fields only narrow down
+  // the documents, which are then filtered in memory.
+  // Returns the up-to-date index definitions.
+  async markFieldShapes(collection, data) {
+    return retryOnConflict(async () => {
+      const indexDefs = await this.loadIndexDefinitions(collection);
+      const fields = Array.from(indexDefs.indexedFields).filter(field =>
+        !indexDefs.multikeyFields.has(field) && isMultiValued(resolvePath(data, field))
+      );
+      const truncated = Object.entries(this.indexValues(data, indexDefs, IndexStore.TAGS))
+        .filter(([field, value]) => value.length > MAX_TAG_VALUE_LENGTH && !indexDefs.truncatedFields.has(field))
+        .map(([field]) => field);
+      if (fields.length === 0 && truncated.length === 0) {
+        return indexDefs;
+      }
+
+      if (fields.length > 0) {
+        this.log(`Fields ${fields.join(', ')} hold arrays and will be filtered in memory`);
+      }
+      if (truncated.length > 0) {
+        this.log(`Fields ${truncated.join(', ')} hold values too long for a tag and will be filtered in memory`);
+      }
+      fields.forEach(field => indexDefs.multikeyFields.add(field));
+      truncated.forEach(field => indexDefs.truncatedFields.add(field));
+
+      await this.saveIndexDefinitions(collection, indexDefs);
+      return indexDefs;
+    }, DEFAULT_RETRY_OPTIONS);
+  }
+
+  // Names of the documents whose tags hold all the given (encoded) values
+  async findBlobNamesByTagValues(collection, fields, tagValues) {
+    const indexDefs = await this.loadIndexDefinitions(collection);
+    const conditions = fields.map((field, i) => ({
+      field,
+      condition: { operator: Operator.EQ, value: tagValues[i] },
+    }));
+    const tagConditions = conditions.filter(({ field }) => this.getIndexStore(field, indexDefs) === IndexStore.TAGS);
+    const secondaryConditions = conditions.filter(({ field }) => this.getIndexStore(field, indexDefs) === IndexStore.SECONDARY);
+
+    let names = null;
+    if (tagConditions.length > 0) {
+      names = [];
+      const truncatedConditions = tagConditions.map(({ field, condition }) => ({
+        field,
+        condition: { ...condition, value: condition.value.substring(0, MAX_TAG_VALUE_LENGTH) },
+      }));
+      for await (const page of this.findBlobsByTags(collection, truncatedConditions)) {
+        names.push(...page.names.filter(name => !name.startsWith('__')));
+      }
+    }
+    if (secondaryConditions.length > 0) {
+      const pages = this.findBlobsBySecondaryIndex(collection, secondaryConditions);
+      const ids = [];
+      for await (const page of pages) {
+        ids.push(...page.names);
+      }
+      names = names === null ? ids : names.filter(name => ids.includes(name));
+    }
+
+    // Tags only hold the beginning of long values: compare the documents
+    if (tagConditions.some(({ condition }) => condition.value.length > MAX_TAG_VALUE_LENGTH)) {
+      const holders = [];
+      for (const name of names) {
+        const doc = await this.read(collection, name);
+        if (doc && isDeepStrictEqual(this.uniqueTagValues(doc, fields, indexDefs), tagValues)) {
+          holders.push(name);
+        }
+      }
+      return holders;
+    }
+    return names;
+  }
+
+  // Fields of every unique index, single-field and compound
+  uniqueIndexes(indexDefs) {
+    return Array.from(indexDefs.indexes.values())
+      .filter(index => index.unique)
+      .map(index => index.fields);
+  }
+
+  // The encoded values of a document for the fields of a unique index, or null
+  // when one of them is missing: such documents are not constrained
+  uniqueTagValues(data, fields, indexDefs) {
+    const tagValues = [];
+
+    for (const field of fields) {
+      const value = singleValue(resolvePath(data, field));
+      if (value === undefined || value === null) {
+        return null;
+      }
+
+      const tagValue = this.encodeTagValueForField(field, value, indexDefs);
+      if (tagValue === null) {
+        return null;
+      }
+      tagValues.push(tagValue);
+    }
+
+    return tagValues;
+  }
+
+  /**
+   * Describes the indexes of a collection.
+   *
+   * @returns {Promise<Array<{ name: string, fields: string[], unique: boolean, hashed: boolean,
+   *   type: string, granularity?: string, timeZone?: string, store: string, status: string }>>}
+   *   name is the id dropIndex takes. store is 'secondary' when a field of the index is kept
+   *   in the secondary index store. status is 'ready', 'pending' (created on existing documents without backfill,
+   *   see rebuildIndexes) or 'building'.
+   */
+  async listIndexes(collection) {
+    const indexDefs = await this.loadIndexDefinitions(collection);
+
+    return Array.from(indexDefs.indexes, ([name, index]) => ({
+      name,
+      fields: index.fields,
+      unique: Boolean(index.unique),
+      hashed: index.fields.some(field => indexDefs.hashedFields.has(field)),
+      type: index.type || 'default',
+      ...(index.granularity && { granularity: index.granularity }),
+      ...(index.timeZone && { timeZone: index.timeZone }),
+      store: index.type === TEXT_INDEX_TYPE ||
+        index.fields.some(field => this.getIndexStore(field, indexDefs) === IndexStore.SECONDARY)
+        ? IndexStore.SECONDARY
+        : IndexStore.TAGS,
+      status: index.status || IndexStatus.READY,
+    }));
+  }
+
+  /**
+   * Drops an index and removes the tags of fields no other index covers from
+   * every document, along with the value reservations of a unique index.
+   *
+   * @param {string|string[]} name - The index name from listIndexes, or its fields.
+   * @param {object} [options]
+   * @param {number} [options.concurrency=8] - Documents processed in parallel.
+   * @param {object} [options.retry] - Overrides DEFAULT_RETRY_OPTIONS.
+   * @throws When the index does not exist.
+   */
+  async dropIndex(collection, name, options = {}) {
+    const { concurrency = DEFAULT_READ_CONCURRENCY } = options;
+    const indexId = Array.isArray(name) ? name.join('_') : name;
+    let dropped;
+    let droppedFields;
+    let droppedEntries;
+    let retag;
+
+    await retryOnConflict(async () => {
+      const indexDefs = await this.loadIndexDefinitions(collection);
+      dropped = indexDefs.indexes.get(indexId);
+      if (!dropped) {
+        throw new Error(`Index "${indexId}" does not exist in collection ${collection}.`);
+      }
+
+      indexDefs.indexes.delete(indexId);
+      // Text indexes only have entries of their own
+      const stillIndexed = new Set(Array.from(indexDefs.indexes.values())
+        .filter(index => index.type !== TEXT_INDEX_TYPE)
+        .flatMap(index => index.fields));
+      droppedFields = dropped.type === TEXT_INDEX_TYPE ? [] : dropped.fields.filter(field => !stillIndexed.has(field));
+      // Entries of the secondary index store to delete, date buckets and terms included
+      droppedEntries = droppedFields.filter(field => indexDefs.secondaryFields.has(field));
+      if (dropped.granularity && indexDefs.secondaryFields.has(dropped.fields[0])) {
+        droppedEntries.push(bucketTagName(dropped.fields[0], dropped.granularity));
+      }
+      if (dropped.type === TEXT_INDEX_TYPE) {
+        droppedEntries.push(TEXT_ENTRY_FIELD);
+      }
+      const tagged = field => !indexDefs.secondaryFields.has(field);
+      retag = droppedFields.some(tagged) || Boolean(dropped.granularity && tagged(dropped.fields[0]));
+      for (const field of droppedFields) {
+        indexDefs.indexedFields.delete(field);
+        indexDefs.multikeyFields.delete(field);
+        indexDefs.hashedFields.delete(field);
+        indexDefs.secondaryFields.delete(field);
+        indexDefs.truncatedFields.delete(field);
+        delete indexDefs.fieldTypes[field];
+      }
+      indexDefs.uniqueFields = uniqueFieldsOf(indexDefs.indexes);
+
+      await this.saveIndexDefinitions(collection, indexDefs);
+    }, { ...DEFAULT_RETRY_OPTIONS, ...options.retry });
+
+    for (const field of droppedEntries) {
+      await this.deleteSecondaryEntriesOf(collection, field);
+    }
+    if (!retag && !dropped.unique) {
+      return;
+    }
+
+    let stripped = 0;
+    for await (const page of this.listBlobs(collection)) {
+      const documents = retag ? page.names.filter(name => !name.startsWith('__')) : [];
+      for await (const { retagged } of readAhead(documents, concurrency, name => this.reindexDocument(collection, name))) {
+        if (retagged) stripped++;
+      }
+
+      if (dropped.unique) {
+        for (const name of page.names.filter(name => name.startsWith(RESERVATION_PREFIX))) {
+          await this.releaseIndexReservation(collection, name, dropped.fields);
+        }
+      }
+    }
+
+    this.log(`Dropped index ${indexId} and removed its tags from ${stripped} documents in collection ${collection}`);
+  }
+
+  // Deletes a reservation if it belongs to the unique index on fields
+  async releaseIndexReservation(collection, name, fields) {
+    const blob = await this.readBlob(collection, name);
+    if (!blob || !isDeepStrictEqual(JSON.parse(blob.content).fields, fields)) {
+      return;
+    }
+    try {
+      await this.deleteBlob(collection, name, { ifMatch: blob.eTag });
+    } catch (error) {
+      if (error.statusCode !== 412) throw error;
+    }
+  }
+
+  // With options.tagEncoding, also records the tag encoding every document
+  // now uses
+  async setIndexStatus(collection, indexIds, status, options = {}) {
+    await retryOnConflict(async () => {
+      const indexDefs = await this.loadIndexDefinitions(collection);
+      const indexes = indexIds.map(id => indexDefs.indexes.get(id)).filter(index => index && index.status !== status);
+      const upgraded = options.tagEncoding !== undefined && indexDefs.tagEncoding !== options.tagEncoding;
+      if (indexes.length === 0 && !upgraded) {
+        return;
+      }
+      indexes.forEach(index => { index.status = status; });
+      if (upgraded) {
+        indexDefs.tagEncoding = options.tagEncoding;
+      }
+      await this.saveIndexDefinitions(collection, indexDefs);
+    }, DEFAULT_RETRY_OPTIONS);
+  }
+
+  // Whether a collection holds at least one document
+  async hasDocuments(collection) {
+    for await (const page of this.listBlobs(collection, { maxPageSize: 100 })) {
+      if (page.names.some(name => !name.startsWith('__'))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Checks that no two documents share the values of a unique index about to be enabled
+  async validateUniqueIndex(collection, fields, valueType) {
+    const indexDefs = await this.loadIndexDefinitions(collection);
+    const typedDefs = valueType
+      ? { ...indexDefs, fieldTypes: { ...indexDefs.fieldTypes, ...Object.fromEntries(fields.map(field => [field, valueType])) } }
+      : indexDefs;
+    const holders = new Map();
+
+    for await (const doc of this.iterate(collection, {})) {
+      const tagValues = this.uniqueTagValues(doc, fields, typedDefs);
+      if (!tagValues) {
+        continue;
+      }
+
+      const key = JSON.stringify(tagValues);
+      if (holders.has(key)) {
+        throw new Error(
+          `Cannot create unique index on "${fields.join('", "')}": documents ${holders.get(key)} and ${doc.id} have the same values.`
+        );
+      }
+      holders.set(key, doc.id);
+    }
+  }
+
+  // Re-tags a document from its content and claims its unique values
+  async reindexDocument(collection, name) {
+    let blob = await this.readBlob(collection, name);
+    let data;
+    let indexDefs;
+    let retagged = false;
+
+    while (blob) {
+      data = JSON.parse(blob.content);
+      indexDefs = await this.markFieldShapes(collection, data);
+      await this.writeSecondaryEntries(collection, this.prepareSecondaryEntries(data, indexDefs));
+      const tags = this.formatTags(this.prepareTags(collection, data, indexDefs));
+
+      const currentTags = this.implements('readBlobTags') ? await this.readBlobTags(collection, name) : null;
+      if (currentTags && isDeepStrictEqual(currentTags, tags)) {
+        break;
+      }
+
+      if (this.implements('setBlobTags')) {
+        await this.setBlobTags(collection, name, tags);
+        // A write in between may have set tags from other content: start over from it
+        const latest = await this.readBlob(collection, name);
+        if (latest && latest.eTag !== blob.eTag) {
+          blob = latest;
+          continue;
+        }
+      } else {
+        try {
+          await this.writeBlob(collection, name, blob.content, { tags, ifMatch: blob.eTag });
+        } catch (error) {
+          if (error.statusCode !== 412 && error.statusCode !== 409) throw error;
+          blob = await this.readBlob(collection, name);
+          continue;
+        }
+      }
+
+      retagged = true;
+      break;
+    }
+
+    if (!blob) {
+      return { retagged }; // Deleted meanwhile
+    }
+
+    const reservations = this.uniqueReservations(data, indexDefs);
+    try {
+      await this.claimReservations(collection, name, reservations);
+    } catch (error) {
+      if (!error.message.startsWith('Unique constraint violation')) throw error;
+      return { retagged, violation: { id: name, fields: error.fields } };
+    }
+    return { retagged };
+  }
+
+  // Whether the backend implements an optional primitive
+  implements(primitive) {
+    return this[primitive] !== StorageAdapter.prototype[primitive];
+  }
+
+  // The reservations a document needs: one per unique index it has values for
+  uniqueReservations(data, indexDefs) {
+    const reservations = [];
+
+    for (const fields of this.uniqueIndexes(indexDefs)) {
+      const tagValues = this.uniqueTagValues(data, fields, indexDefs);
+      if (tagValues) {
+        reservations.push({ fields, name: reservationName(fields, tagValues) });
+      }
+    }
+
+    return reservations;
+  }
+
+  // Claims reservations for document id. Returns the ones it did not hold yet,
+  // which the caller releases if its write fails. On a violation, the
+  // reservations claimed so far are released before throwing.
+  async claimReservations(collection, id, reservations) {
+    const claimed = [];
+
+    try {
+      for (const reservation of reservations) {
+        if (await this.claimReservation(collection, id, reservation)) {
+          claimed.push(reservation);
+        }
+      }
+    } catch (error) {
+      await this.releaseReservations(collection, id, claimed);
+      throw error;
+    }
+
+    return claimed;
+  }
+
+  async claimReservation(collection, id, reservation) {
+    const content = JSON.stringify({ fields: reservation.fields, id, claimedAt: Date.now() });
+
+    for (let attempt = 0; attempt <= DEFAULT_RETRY_OPTIONS.maxRetries; attempt++) {
+      try {
+        await this.writeBlob(collection, reservation.name, content, { ifNoneMatch: '*' });
+        return true;
+      } catch (error) {
+        if (error.statusCode !== 409 && error.statusCode !== 412) throw error;
+      }
+
+      const blob = await this.readBlob(collection, reservation.name);
+      if (!blob) {
+        continue; // Released meanwhile
+      }
+
+      const holder = JSON.parse(blob.content);
+      if (holder.id === id) {
+        return false;
+      }
+      const indexDefs = await this.loadIndexDefinitions(collection);
+      if (!(await this.isReservationOrphaned(collection, reservation.name, holder, indexDefs))) {
+        throw uniqueViolation(reservation.fields);
+      }
+
+      this.log(`Taking over orphaned reservation of ${reservation.fields.join(', ')} from document ${holder.id}`);
+      try {
+        await this.writeBlob(collection, reservation.name, content, { ifMatch: blob.eTag });
+        return true;
+      } catch (error) {
+        if (error.statusCode !== 409 && error.statusCode !== 412) throw error;
+      }
+    }
+
+    throw new ConcurrencyError(
+      `Could not reserve the unique value of ${reservation.fields.join(', ')} in collection ${collection}.`,
+      { collection, id }
+    );
+  }
+
+  async isReservationOrphaned(collection, name, holder, indexDefs) {
+    if (Date.now() - holder.claimedAt < this.reservationTimeout) {
+      return false; // The write that claimed it may still be in progress
+    }
+    const doc = await this.read(collection, holder.id);
+    return !doc || !this.uniqueReservations(doc, indexDefs).some(reservation => reservation.name === name);
+  }
+
+  // Deletes the reservations document id holds among the given ones
+  async releaseReservations(collection, id, reservations) {
+    for (const { name } of reservations) {
+      const blob = await this.readBlob(collection, name);
+      if (!blob || JSON.parse(blob.content).id !== id) {
+        continue;
+      }
+      try {
+        await this.deleteBlob(collection, name, { ifMatch: blob.eTag });
+      } catch (error) {
+        if (error.statusCode !== 412) throw error; // Taken over meanwhile
+      }
+    }
+  }
+
+  async checkUniqueConstraintsOnCreate(collection, data, tags, indexDefs) {
+    for (const fields of this.uniqueIndexes(indexDefs)) {
+      const tagValues = this.uniqueTagValues(data, fields, indexDefs);
+      if (!tagValues) {
+        continue; // Skip undefined or null values
+      }
+
+      if (await this.hasOtherUniqueHolder(collection, data.id, fields, tagValues, indexDefs)) {
+        throw uniqueViolation(fields);
+      }
+    }
+  }
+
+  async checkUniqueConstraintsOnUpdate(collection, newData, existingData, indexDefs) {
+    for (const fields of this.uniqueIndexes(indexDefs)) {
+      const newValues = this.uniqueTagValues(newData, fields, indexDefs);
+      if (!newValues) {
+        continue; // Skip undefined or null values
+      }
+      if (isDeepStrictEqual(newValues, this.uniqueTagValues(existingData, fields, indexDefs))) {
+        continue; // Values haven't changed; no need to check
+      }
+
+      if (await this.hasOtherUniqueHolder(collection, newData.id, fields, newValues, indexDefs)) {
+        throw uniqueViolation(fields);
+      }
+    }
+  }
+
+  // Whether another document holds the values of a unique index, for
+  // documents written before reservations existed. Tags may lag behind the
+  // documents, so the candidates are read: only those still holding the
+  // values count.
+  async hasOtherUniqueHolder(collection, id, fields, tagValues, indexDefs) {
+    const names = await this.findBlobNamesByTagValues(collection, fields, tagValues);
+    for (const name of names.filter(name => name !== id)) {
+      const doc = await this.read(collection, name);
+      if (doc && isDeepStrictEqual(this.uniqueTagValues(doc, fields, indexDefs), tagValues)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  prepareTags(collection, data, indexDefs) {
+    const tags = this.indexValues(data, indexDefs, IndexStore.TAGS);
+
+    // Tags only keep the beginning of long values, see markFieldShapes
+    for (const [field, value] of Object.entries(tags)) {
+      if (value.length > MAX_TAG_VALUE_LENGTH) {
+        tags[field] = value.substring(0, MAX_TAG_VALUE_LENGTH);
+      }
+    }
+    return tags;
+  }
+
+  // The secondary index entries of a document, as a Map of blob name to content
+  prepareSecondaryEntries(data, indexDefs) {
+    const entries = new Map();
+    const addEntry = (field, value) =>
+      entries.set(entryName(field, value, data.id), value.length > MAX_ENTRY_KEY_LENGTH ? JSON.stringify({ value }) : '');
+
+    for (const [field, value] of Object.entries(this.indexValues(data, indexDefs, IndexStore.SECONDARY))) {
+      addEntry(field, value);
+    }
+
+    const textIndex = this.getTextIndex(indexDefs);
+    if (textIndex) {
+      const terms = tokenizeValues(textIndex.fields.flatMap(field => resolvePath(data, field)));
+      new Set(terms).forEach(term => addEntry(TEXT_ENTRY_FIELD, term));
+    }
+    return entries;
+  }
+
+  // The encoded values of a document for the indexed fields kept in a store,
+  // keyed by tag name
+  indexValues(data, indexDefs, store) {
+    const values = {};
+    const indexedFields = indexDefs.indexedFields || new Set();
+
+    for (const field of indexedFields) {
+      if (this.getIndexStore(field, indexDefs) !== store) {
+        continue;
+      }
+      const fieldValues = resolvePath(data, field);
+      if (isMultiValued(fieldValues)) {
+        continue; // Arrays cannot be tagged, see markFieldShapes
+      }
+      const value = fieldValues[0];
+
+      if (value === undefined || value === null) {
+        continue; // Skip undefined or null values
+      }
+
+      const tagValue = this.encodeTagValueForField(field, value, indexDefs);
+
+      if (tagValue !== null) {
+        values[field] = tagValue;
+      }
+    }
+
+    // Date indexes with a granularity also index the bucket of the value
+    for (const index of (indexDefs.indexes || new Map()).values()) {
+      const [field] = index.fields;
+      if (!index.granularity || this.getIndexStore(field, indexDefs) !== store) {
+        continue;
+      }
+      const fieldValues = resolvePath(data, field);
+      if (isMultiValued(fieldValues) || fieldValues[0] === undefined || fieldValues[0] === null) {
+        continue;
+      }
+      const bucket = encodeDateBucket(fieldValues[0], index.granularity, index.timeZone);
+      if (bucket !== null) {
+        values[bucketTagName(field, index.granularity)] = encodeTagValue(bucket);
+      }
+    }
+
+    return values;
+  }
+
+  // Whether conditions on a field can be answered from index tags
+  isTagQueryable(field, indexDefs) {
+    return (indexDefs.indexedFields || new Set()).has(field) &&
+      !(indexDefs.multikeyFields || new Set()).has(field) &&
+      this.getIndexStore(field, indexDefs) === IndexStore.TAGS;
+  }
+
+  // Whether conditions on a field can be looked up in the secondary index store
+  isSecondaryQueryable(field, indexDefs) {
+    return (indexDefs.indexedFields || new Set()).has(field) &&
+      !(indexDefs.multikeyFields || new Set()).has(field) &&
+      this.getIndexStore(field, indexDefs) === IndexStore.SECONDARY;
+  }
+
+  // Whether any index keeps entries in the secondary index store
+  usesSecondaryStore(indexDefs) {
+    return indexDefs.secondaryFields.size > 0 || Boolean(this.getTextIndex(indexDefs));
+  }
+
+  // The text index of a collection; there is at most one
+  getTextIndex(indexDefs) {
+    return Array.from((indexDefs.indexes || new Map()).values()).find(index => index.type === TEXT_INDEX_TYPE);
+  }
+
+  getIndexStore(field, indexDefs) {
+    return (indexDefs.secondaryFields || new Set()).has(field) ? IndexStore.SECONDARY : IndexStore.TAGS;
+  }
+
+  isTruncatedField(field, indexDefs) {
+    return (indexDefs.truncatedFields || new Set()).has(field);
+  }
+
+  // Number of tags the index definitions give a document at most
+  countTags(indexDefs) {
+    const tagged = Array.from(indexDefs.indexedFields)
+      .filter(field => this.getIndexStore(field, indexDefs) === IndexStore.TAGS);
+    const buckets = Array.from(indexDefs.indexes.values())
+      .filter(index => index.granularity && this.getIndexStore(index.fields[0], indexDefs) === IndexStore.TAGS);
+    return tagged.length + buckets.length;
+  }
+
+  async writeSecondaryEntries(collection, entries) {
+    for (const [name, content] of entries) {
+      await this.writeBlob(secondaryIndexContainer(collection), name, content);
+    }
+  }
+
+  async deleteSecondaryEntries(collection, names) {
+    for (const name of names) {
+      await this.deleteBlob(secondaryIndexContainer(collection), name);
+    }
+  }
+
+  // Deletes the secondary index entries of a field
+  async deleteSecondaryEntriesOf(collection, field) {
+    const prefix = entryPrefix(field);
+    for await (const page of this.listBlobs(secondaryIndexContainer(collection), { prefix })) {
+      await this.deleteSecondaryEntries(collection, page.names.filter(name => name.startsWith(prefix)));
+    }
+  }
+
+  // Ids of the documents whose secondary index entries for a field match a
+  // condition from toTagCondition, or an $in condition on encoded values
+  async findIdsBySecondaryIndex(collection, field, condition) {
+    const container = secondaryIndexContainer(collection);
+    const conditions = condition.operator === Operator.IN
+      ? condition.value.map(value => ({ operator: Operator.EQ, value }))
+      : [condition];
+    const ids = new Set();
+
+    for (const { operator, value } of conditions) {
+      // Equality lists a single value; other operators the whole field
+      const prefix = operator === Operator.EQ ? entryPrefix(field, entryKey(value)) : entryPrefix(field);
+      const matches = tagConditionMatcher(field, { operator, value });
+
+      for await (const page of this.listBlobs(container, { prefix })) {
+        for (const name of page.names.filter(name => name.startsWith(prefix))) {
+          const entry = parseEntryName(name);
+          let entryValue = entry.key;
+          if (entryValue.length > MAX_ENTRY_KEY_LENGTH) {
+            const blob = await this.readBlob(container, name);
+            if (!blob) continue;
+            entryValue = JSON.parse(blob.content).value;
+          }
+          if (matches(entryValue)) {
+            ids.add(entry.id);
+          }
+        }
+      }
+    }
+
+    return ids;
+  }
+
+  // Runs the conditions from planSecondaryConditions, AND'd, and pages
+  // through the matching names
+  async *findBlobsBySecondaryIndex(collection, conditions, options = {}) {
+    let ids = null;
+    for (const { field, condition } of conditions) {
+      const matched = await this.findIdsBySecondaryIndex(collection, field, condition);
+      ids = ids === null ? matched : new Set([...ids].filter(id => matched.has(id)));
+    }
+
+    yield* paginate(Array.from(ids || []).sort(), options.maxPageSize, options.continuationToken);
+  }
+
+  getFieldType(field, indexDefs) {
+    return (indexDefs.fieldTypes && indexDefs.fieldTypes[field]) || undefined;
+  }
+
+  // The date index of a single field, which may have a granularity and time zone
+  getDateIndex(field, indexDefs) {
+    const index = indexDefs.indexes && indexDefs.indexes.get(field);
+    return index && index.type === TagType.DATE && index.fields.length === 1 ? index : undefined;
+  }
+
+  getTimeZone(field, indexDefs) {
+    const index = this.getDateIndex(field, indexDefs);
+    return (index && index.timeZone) || undefined;
+  }
+
+  // Encodes a value as a tag value. Numbers and dates get order-preserving
+  // encodings so that tag range filters compare them correctly. The type
+  // comes from the index definition; without it the JavaScript type decides.
+  // Values of hashed fields are replaced by their hash.
+  encodeTagValueForField(field, value, indexDefs) {
+    if (
+      typeof value !== 'string' &&
+      typeof value !== 'number' &&
+      !(value instanceof Date)
+    ) {
+      // For non-stringable types, skip tagging
+      console.warn(
+        `Field "${field}" has unsupported type for tagging and will be skipped.`
+      );
+      return null;
+    }
+
+    const fieldType = this.tagTypeOf(field, value, indexDefs);
+
+    let tagValue;
+    switch (fieldType) {
+      case TagType.NUMBER:
+        tagValue = encodeNumberTagValue(typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+        break;
+      case TagType.DATE:
+        tagValue = encodeDateTagValue(value, this.getTimeZone(field, indexDefs));
+        break;
+      default:
+        tagValue = value instanceof Date ? value.toISOString() : value.toString();
+    }
+
+    if (tagValue === null) {
+      console.warn(
+        `Field "${field}" value cannot be converted to ${fieldType} for tagging and will be skipped.`
+      );
+      return null;
+    }
+
+    if (this.fieldRequiresHashing(field, indexDefs)) {
+      // Hash the value
+      return hashTagValue(tagValue);
+    }
+
+    // Numbers are already hex; dates and strings need disallowed characters replaced
+    return fieldType === TagType.NUMBER ? tagValue : encodeTagValue(tagValue);
+  }
+
+  // The type a value is encoded as: the type of the index, or its JavaScript type
+  tagTypeOf(field, value, indexDefs) {
+    const fieldType = this.getFieldType(field, indexDefs);
+    if (fieldType) {
+      return fieldType;
+    }
+    if (typeof value === 'number') {
+      return TagType.NUMBER;
+    }
+    return value instanceof Date ? TagType.DATE : TagType.STRING;
+  }
+
+  // Whether documents may still carry version 1 tags for these values, see
+  // TAG_ENCODING_VERSION
+  hasLegacyNumberTags(field, values, indexDefs) {
+    return indexDefs.tagEncoding < TAG_ENCODING_VERSION &&
+      values.some(value => value !== null && value !== undefined && !(value instanceof RegExp) &&
+        this.tagTypeOf(field, value, indexDefs) === TagType.NUMBER);
+  }
+
+  // Fields of indexes created with { hashed: true }
+  fieldRequiresHashing(field, indexDefs) {
+    return (indexDefs.hashedFields || new Set()).has(field);
+  }
+
+  isValidTagValue(value) {
+    // Azure Blob Storage tag value regex: ^[\w\s.-_/:]+$
+    const regex = /^[\w\s.\-\/:]+$/;
+    return regex.test(value);
+  }
+
+  formatTags(tags) {
+    return Object.fromEntries(
+      Object.entries(tags).map(([key, value]) => [key, value.toString()])
+    );
+  }
+
+  findUsableCompoundIndex(structuredQuery, indexDefs) {
+    const queryFields = Object.keys(structuredQuery);
+    let bestIndex = null;
+    let maxMatchingFields = 0;
+
+    for (const [indexId, indexInfo] of indexDefs.indexes) {
+      // A text index answers $text, not conditions on its fields
+      const indexFields = indexInfo.type === TEXT_INDEX_TYPE ? [TEXT_ENTRY_FIELD] : indexInfo.fields;
+      const matchingFields = indexFields.filter(field => queryFields.includes(field));
+      if (matchingFields.length > maxMatchingFields) {
+        maxMatchingFields = matchingFields.length;
+        bestIndex = indexInfo;
+      }
+    }
+
+    return bestIndex;
+  }
+
+  // Yields the documents a plan selects in sort order, holding only their sort
+  // keys and ids in memory: documents are read once to collect the keys and
+  // once more, in order, to be yielded
+  async *sortedDocuments(collection, plan, sortSpec, options = {}) {
+    const { batchSize = 100, concurrency = 1, readDocument = name => this.read(collection, name) } = options;
+    const entries = [];
+
+    for await (const doc of this.scanDocuments(collection, plan, { batchSize, concurrency, readDocument })) {
+      entries.push({ keys: sortKeys(doc, sortSpec), id: doc.id });
+    }
+
+    const compare = compareSortKeys(sortSpec);
+    entries.sort((a, b) => compare(a.keys, b.keys));
+
+    const reads = readAhead(entries, concurrency, ({ id }) => readDocument(id));
+    for await (const doc of reads) {
+      // Documents deleted or changed since the first read are skipped
+      if (doc && this.applyInMemoryFilter([doc], plan.residualQuery).length > 0) {
+        yield doc;
+      }
+    }
+  }
+
+  /**
+   * Plans a query: splits it into tag conditions pushed down to
+   * findBlobsByTags and a residual query evaluated in memory.
+   *
+   * scanType is 'tags' when tag conditions narrow down the blobs to read,
+   * 'secondary' when lookups in the secondary index store do, 'list' for an
+   * empty query and 'fullScan' when every blob has to be read and filtered.
+   *
+   * textSearch is the parsed top-level $text search, whose relevance the
+   * documents are scored by.
+   *
+   * @returns {Promise<{ structuredQuery: object, tagConditions: object[], secondaryConditions: object[],
+   *   residualQuery: object, scanType: string, textSearch: object|null }>}
+   */
+  async planQuery(collection, query) {
+    const structuredQuery = parseQuery(query);
+
+    // Load index definitions
+    const indexDefs = await this.loadIndexDefinitions(collection);
+    this.resolveDateBuckets(structuredQuery, indexDefs);
+    this.resolveTextSearch(structuredQuery, indexDefs);
+
+    const { tagConditions, residualQuery } = this.splitQuery(structuredQuery, indexDefs);
+    // Tag filters run on the server, so the secondary index store is only used without them
+    const secondaryConditions = tagConditions.length > 0 ? [] : this.planSecondaryConditions(structuredQuery, indexDefs);
+
+    let scanType;
+    if (tagConditions.length > 0) {
+      scanType = 'tags';
+    } else if (secondaryConditions.length > 0) {
+      scanType = 'secondary';
+    } else if (Object.keys(structuredQuery).length === 0) {
+      scanType = 'list';
+    } else {
+      scanType = 'fullScan';
+    }
+
+    const textSearch = structuredQuery.$text ? structuredQuery.$text.value : null;
+    return { structuredQuery, tagConditions, secondaryConditions, residualQuery, scanType, textSearch, indexDefs };
+  }
+
+  // Completes the $bucket conditions of a structured query with the
+  // granularity and time zone of the date index of their field, turning the
+  // value into the bucket it names or falls in
+  resolveDateBuckets(structuredQuery, indexDefs) {
+    const resolve = (field, conditions) => {
+      for (const condition of conditions) {
+        if (condition.operator === Operator.AND || condition.operator === Operator.OR) {
+          condition.value.forEach(subQuery => this.resolveDateBuckets(subQuery, indexDefs));
+        } else if (condition.operator === Operator.NOT) {
+          resolve(field, condition.value);
+        } else if (condition.operator === Operator.BUCKET) {
+          const index = this.getDateIndex(field, indexDefs);
+          if (!index || !index.granularity) {
+            throw new Error(`$bucket on "${field}" requires a date index with a granularity.`);
+          }
+          const bucket = toDateBucket(condition.value, index.granularity, index.timeZone);
+          if (bucket === null) {
+            throw new Error(`$bucket on "${field}" requires a date or a ${index.granularity} bucket.`);
+          }
+          condition.value = { bucket, granularity: index.granularity, timeZone: index.timeZone };
+        }
+      }
+    };
+
+    for (const [field, conditions] of Object.entries(structuredQuery)) {
+      resolve(field, Array.isArray(conditions) ? conditions : [conditions]);
+    }
+  }
+
+  // Completes the $text conditions of a structured query with the fields of
+  // the text index
+  resolveTextSearch(structuredQuery, indexDefs) {
+    for (const [field, conditions] of Object.entries(structuredQuery)) {
+      for (const condition of Array.isArray(conditions) ? conditions : [conditions]) {
+        if (condition.operator === Operator.AND || condition.operator === Operator.OR) {
+          condition.value.forEach(subQuery => this.resolveTextSearch(subQuery, indexDefs));
+        } else if (condition.operator === Operator.TEXT) {
+          const textIndex = this.getTextIndex(indexDefs);
+          if (!textIndex) {
+            throw new Error(`${field} requires a text index.`);
+          }
+          condition.value.fields = textIndex.fields;
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether a projection can be answered from index tags alone: it only
+   * includes fields whose values can be decoded from their tags (typed,
+   * unhashed, single-valued indexes), the plan (when given) needs no document
+   * for residual conditions, and the sort only uses projected fields. Requires
+   * the optional readBlobTags primitive.
+   */
+  isProjectionCovered(projection, indexDefs, plan = undefined, sortSpec = []) {
+    if (!projection || projection.mode !== 'include' || projection.paths.length === 0) {
+      return false;
+    }
+    if (!this.implements('readBlobTags') || indexDefs.tagEncoding < TAG_ENCODING_VERSION) {
+      return false;
+    }
+    if (plan && Object.keys(plan.residualQuery).length > 0) {
+      return false;
+    }
+
+    const decodable = field => this.isTagQueryable(field, indexDefs) &&
+      !this.isTruncatedField(field, indexDefs) &&
+      Boolean(this.getFieldType(field, indexDefs)) &&
+      !this.fieldRequiresHashing(field, indexDefs);
+
+    return projection.paths.every(decodable) &&
+      sortSpec.every(({ path }) => path === 'id' || projection.paths.includes(path));
+  }
+
+  // The function scanDocuments uses to read a document by name
+  documentReader(collection, plan, projection, sortSpec) {
+    if (this.isProjectionCovered(projection, plan.indexDefs, plan, sortSpec)) {
+      this.log('Projection covered by index tags, skipping document downloads');
+      return name => this.readDocumentFromTags(collection, name, projection.paths, plan.indexDefs);
+    }
+
+    const { textSearch } = plan;
+    if (!textSearch) {
+      if (sortSpec.some(({ meta }) => meta) || (projection && projection.meta.length > 0)) {
+        throw new Error('The textScore of documents requires a $text query.');
+      }
+      return name => this.read(collection, name);
+    }
+    // Documents carry their relevance for sorting and projection
+    return async name => {
+      const doc = await this.read(collection, name);
+      return doc && withTextScore(doc, textScore(textSearch.fields.map(field => resolvePath(doc, field)), textSearch));
+    };
+  }
+
+  // Builds a document holding the given fields from the blob's index tags
+  async readDocumentFromTags(collection, name, fields, indexDefs) {
+    const tags = await this.readBlobTags(collection, name);
+    if (!tags) {
+      return null;
+    }
+
+    const doc = { id: name };
+    for (const field of fields) {
+      if (tags[field] !== undefined) {
+        setPath(doc, field, this.decodeTagValueForField(field, tags[field], indexDefs));
+      }
+    }
+    return doc;
+  }
+
+  // Inverse of encodeTagValueForField for typed, unhashed fields
+  decodeTagValueForField(field, tagValue, indexDefs) {
+    return this.getFieldType(field, indexDefs) === TagType.NUMBER
+      ? decodeNumberTagValue(tagValue)
+      : decodeTagValue(tagValue);
+  }
+
+  // Pages of the blob names a plan has to consider
+  listPlanBlobs(collection, plan, options = {}) {
+    switch (plan.scanType) {
+      case 'tags':
+        this.log('Using tag-based query');
+        return this.findBlobsByTagConditions(collection, plan.tagConditions, options);
+      case 'secondary':
+        this.log('Using the secondary index store');
+        return this.findBlobsBySecondaryIndex(collection, plan.secondaryConditions, options);
+      case 'list':
+        this.log('Empty query, paginating blobs');
+        return this.listBlobs(collection, options);
+      default:
+        this.log('No usable indexes, performing full scan with in-memory filtering');
+        return this.listBlobs(collection, options);
+    }
+  }
+
+  // Reads the documents a plan selects and yields those passing the residual
+  // query, in listing order or, with options.reverse, in reverse listing order.
+  //
+  // options.cursor ({ pageToken, skip }) starts the scan at a position and is
+  // kept up to date: before a document is yielded it points just after it,
+  // and done is set once every blob has been listed.
+  async *scanDocuments(collection, plan, options = {}) {
+    const {
+      batchSize = 100,
+      stats = { blobsListed: 0, documentsRead: 0 },
+      concurrency = 1,
+      readDocument = name => this.read(collection, name),
+      reverse = false,
+      cursor = { pageToken: undefined, skip: 0, done: false },
+    } = options;
+
+    let pages = this.listPlanBlobs(collection, plan, {
+      maxPageSize: batchSize,
+      continuationToken: reverse ? undefined : cursor.pageToken,
+    });
+    if (reverse) {
+      // Only the names are held in memory; documents are still read one by one
+      const allNames = [];
+      for await (const page of pages) {
+        allNames.push(...page.names);
+      }
+      pages = paginate(allNames.reverse(), batchSize);
+    }
+
+    let skip = cursor.skip;
+
+    for await (const page of pages) {
+      const pageToken = cursor.pageToken;
+      const pageNames = page.names.slice(skip);
+      stats.blobsListed += pageNames.filter(name => !name.startsWith('__')).length;
+
+      // Position after each name: the rest of this page, or the next page
+      const entries = pageNames.map((name, index) => ({
+        name,
+        position: index === pageNames.length - 1
+          ? { pageToken: page.continuationToken, skip: 0, done: !page.continuationToken }
+          : { pageToken, skip: skip + index + 1 },
+      }));
+
+      const reads = readAhead(entries, concurrency, async ({ name, position }) => {
+        if (name.startsWith('__')) {
+          return { position, doc: null };
+        }
+        stats.documentsRead++;
+        return { position, doc: await readDocument(name) };
+      });
+
+      for await (const { position, doc } of reads) {
+        Object.assign(cursor, position);
+        if (doc && this.applyInMemoryFilter([doc], plan.residualQuery).length > 0) {
+          yield doc;
+        }
+      }
+
+      if (pageNames.length === 0) {
+        Object.assign(cursor, { pageToken: page.continuationToken, skip: 0, done: !page.continuationToken });
+      }
+      skip = 0;
+    }
+
+    cursor.done = true;
+  }
+
+  // Splits a structured query into conditions answered by index tags and the
+  // residual query that has to be evaluated in memory. A document matches the
+  // query exactly when it matches the tag conditions and the residual query.
+  // Tag condition values are encoded the same way prepareTags encodes the
+  // stored values.
+  //
+  // tagConditions are AND'd. Each one is either { field, condition } or
+  // { or: [tagConditions, ...] } for $in and $or, which run as one
+  // findBlobsByTags query per alternative (see findBlobsByTagConditions).
+  splitQuery(structuredQuery, indexDefs) {
+    const pushed = [];
+    const residualQuery = {};
+
+    for (const [field, fieldConditions] of Object.entries(structuredQuery)) {
+      const conditionArray = Array.isArray(fieldConditions) ? fieldConditions : [fieldConditions];
+      const plans = conditionArray.map(condition => this.planTagConditions(field, condition, indexDefs));
+
+      // Tag conditions are pushed down even when they only narrow the
+      // candidates; the field then stays in the residual query as well
+      const tagConditions = plans.flatMap(plan => plan.tagConditions);
+      if (tagConditions.length > 0) {
+        pushed.push({ field, tagConditions });
+      }
+      if (!plans.every(plan => plan.exact)) {
+        this.log(`Field ${field} cannot be fully answered from tags, filtering in memory`);
+        residualQuery[field] = fieldConditions;
+      }
+    }
+
+    // Every alternative is a separate request; fall back to memory for the widest
+    while (pushed.length > 0 && countTagQueryBranches(pushed.flatMap(p => p.tagConditions)) > MAX_TAG_QUERY_BRANCHES) {
+      const widest = pushed.reduce((a, b) => (countTagQueryBranches(b.tagConditions) > countTagQueryBranches(a.tagConditions) ? b : a));
+      this.log(`Field ${widest.field} needs too many tag queries, filtering in memory`);
+      pushed.splice(pushed.indexOf(widest), 1);
+      residualQuery[widest.field] = structuredQuery[widest.field];
+    }
+
+    return { tagConditions: pushed.flatMap(p => p.tagConditions), residualQuery };
+  }
+
+  // Translates one condition into tag conditions. exact is false when the
+  // tag conditions cannot answer the condition on their own.
+  planTagConditions(field, condition, indexDefs) {
+    const notPushable = { tagConditions: [], exact: false };
+
+    switch (condition.operator) {
+      case Operator.AND: {
+        const subQueries = condition.value.map(subQuery => this.splitQuery(subQuery, indexDefs));
+        return {
+          tagConditions: subQueries.flatMap(sub => sub.tagConditions),
+          exact: subQueries.every(sub => Object.keys(sub.residualQuery).length === 0),
+        };
+      }
+      case Operator.OR: {
+        // Only usable when every branch narrows down by tags; a branch without
+        // tag conditions could match any blob
+        const subQueries = condition.value.map(subQuery => this.splitQuery(subQuery, indexDefs));
+        if (!subQueries.every(sub => sub.tagConditions.length > 0)) {
+          return notPushable;
+        }
+        return {
+          tagConditions: [{ or: subQueries.map(sub => sub.tagConditions) }],
+          exact: subQueries.every(sub => Object.keys(sub.residualQuery).length === 0),
+        };
+      }
+      case Operator.IN: {
+        if (!this.isTagQueryable(field, indexDefs) || this.hasLegacyNumberTags(field, condition.value, indexDefs)) {
+          return notPushable;
+        }
+        const equalities = condition.value.map(value => (value instanceof RegExp
+          ? null
+          : this.toTagCondition(field, { operator: Operator.EQ, value }, indexDefs)));
+        if (equalities.includes(null)) {
+          return notPushable;
+        }
+        return {
+          tagConditions: [{ or: equalities.map(tagCondition => [{ field, condition: tagCondition }]) }],
+          exact: !this.isTruncatedField(field, indexDefs),
+        };
+      }
+      case Operator.BUCKET: {
+        if (!this.isTagQueryable(field, indexDefs)) {
+          return notPushable;
+        }
+        const { bucket, granularity } = condition.value;
+        return {
+          tagConditions: [{
+            field: bucketTagName(field, granularity),
+            condition: { operator: Operator.EQ, value: encodeTagValue(bucket) },
+          }],
+          exact: true,
+        };
+      }
+      default: {
+        const values = condition.operator === Operator.BETWEEN && Array.isArray(condition.value) ? condition.value : [condition.value];
+        if (!this.isTagQueryable(field, indexDefs) || this.hasLegacyNumberTags(field, values, indexDefs)) {
+          return notPushable;
+        }
+        const tagCondition = this.toTagCondition(field, condition, indexDefs);
+        // Without an index type, a range of numbers also matches the string
+        // tags between their encodings, so the documents are checked in memory
+        const exact = !this.isTruncatedField(field, indexDefs) &&
+          (condition.operator === Operator.EQ || Boolean(this.getFieldType(field, indexDefs)));
+        return tagCondition
+          ? { tagConditions: [{ field, condition: tagCondition }], exact }
+          : notPushable;
+      }
+    }
+  }
+
+  // Returns the condition with its value(s) encoded as tag values, or null
+  // when tags cannot answer it
+  toTagCondition(field, condition, indexDefs) {
+    if (!TAG_OPERATORS.has(condition.operator)) {
+      return null;
+    }
+    if (condition.operator === Operator.BETWEEN && (!Array.isArray(condition.value) || condition.value.length !== 2)) {
+      return null;
+    }
+    // Hashes only preserve equality
+    if (condition.operator !== Operator.EQ && this.fieldRequiresHashing(field, indexDefs)) {
+      throw new Error(`Field "${field}" has a hashed index, which only supports equality queries.`);
+    }
+
+    const values = condition.operator === Operator.BETWEEN ? condition.value : [condition.value];
+    if (values.some(value => value === null || value === undefined)) {
+      return null; // Missing fields have no tag
+    }
+    const encodedValues = values.map(value => this.encodeTagValueForField(field, value, indexDefs));
+    if (encodedValues.includes(null)) {
+      return null;
+    }
+
+    // Tags of truncated fields hold the beginning of long values. Cutting the
+    // values compared with them the same way keeps every match, since cutting
+    // preserves order, but strict comparisons have to admit equal beginnings.
+    if (this.isTruncatedField(field, indexDefs)) {
+      const truncated = encodedValues.map(value => value.substring(0, MAX_TAG_VALUE_LENGTH));
+      return {
+        operator: WIDENED_OPERATORS[condition.operator] || condition.operator,
+        value: condition.operator === Operator.BETWEEN ? truncated : truncated[0],
+      };
+    }
+
+    return {
+      operator: condition.operator,
+      value: condition.operator === Operator.BETWEEN ? encodedValues : encodedValues[0],
+    };
+  }
+
+  // Conditions on fields of the secondary index store that narrow down the
+  // documents to read: equalities, ranges, $in and $bucket on top-level
+  // fields, and the terms of $text, AND'd. They are never exact, the fields
+  // stay in the residual query: that also discards entries left behind by
+  // interrupted writes.
+  planSecondaryConditions(structuredQuery, indexDefs) {
+    const conditions = [];
+
+    for (const [field, fieldConditions] of Object.entries(structuredQuery)) {
+      if (field === '$text') {
+        // Documents holding any of the terms
+        conditions.push({ field: TEXT_ENTRY_FIELD, condition: { operator: Operator.IN, value: fieldConditions.value.terms } });
+        continue;
+      }
+      if (!this.isSecondaryQueryable(field, indexDefs)) {
+        continue;
+      }
+
+      for (const condition of Array.isArray(fieldConditions) ? fieldConditions : [fieldConditions]) {
+        if (condition.operator === Operator.BUCKET) {
+          const { bucket, granularity } = condition.value;
+          conditions.push({
+            field: bucketTagName(field, granularity),
+            condition: { operator: Operator.EQ, value: encodeTagValue(bucket) },
+          });
+        } else if (condition.operator === Operator.IN) {
+          // null matches missing fields, which have no entry
+          const values = condition.value.map(value => (value instanceof RegExp || value === null || value === undefined
+            ? null
+            : this.encodeTagValueForField(field, value, indexDefs)));
+          if (!values.includes(null)) {
+            conditions.push({ field, condition: { operator: Operator.IN, value: values } });
+          }
+        } else {
+          const tagCondition = this.toTagCondition(field, condition, indexDefs);
+          if (tagCondition) {
+            conditions.push({ field, condition: tagCondition });
+          }
+        }
+      }
+    }
+
+    return conditions;
+  }
+
+  // Runs tag conditions from splitQuery, issuing one findBlobsByTags query per
+  // $in/$or alternative and merging the results in name order. The merged
+  // pages carry tokens of paginate, so the alternatives are always listed
+  // from the start, with the backend's own paging
+  async *findBlobsByTagConditions(collection, tagConditions, options = {}) {
+    const branches = expandTagConditions(tagConditions);
+
+    if (branches.length === 1) {
+      yield* this.findBlobsByTags(collection, branches[0], options);
+      return;
+    }
+
+    const { maxPageSize, continuationToken, ...branchOptions } = options;
+    const names = new Set();
+    for (const branch of branches) {
+      for await (const page of this.findBlobsByTags(collection, branch, branchOptions)) {
+        page.names.forEach(name => names.add(name));
+      }
+    }
+
+    yield* paginate(Array.from(names).sort(), maxPageSize, continuationToken);
+  }
+
+  applyInMemoryFilter(docs, structuredQuery) {
+    return applyInMemoryFilter(docs, structuredQuery);
+  }
+}
+
+// The tag holding the bucket of a date field, e.g. 'createdAt:daily'
+function bucketTagName(field, granularity) {
+  return `${field}:${granularity}`;
+}
+
+// What the tags of documents depend on in the index definitions; a rebuild
+// checkpoint only holds for the definitions it was started with
+function indexSignature(indexDefs) {
+  const indexes = Array.from(indexDefs.indexes, ([id, { status, ...index }]) => [id, index])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return JSON.stringify({
+    indexes,
+    fieldTypes: Object.entries(indexDefs.fieldTypes).sort(),
+    hashedFields: Array.from(indexDefs.hashedFields).sort(),
+    secondaryFields: Array.from(indexDefs.secondaryFields).sort(),
+  });
+}
+
+function secondaryIndexContainer(collection) {
+  return `${SECONDARY_INDEX_CONTAINER_PREFIX}${collection}`;
+}
+
+// Percent-encoding with '!' instead of '%', so that entry names only use
+// characters every backend keeps in blob and file names, and never '~'
+function encodeEntrySegment(value) {
+  return encodeURIComponent(value)
+    .replace(/[!'()*~]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/%/g, '!');
+}
+
+function decodeEntrySegment(segment) {
+  return decodeURIComponent(segment.replace(/!/g, '%'));
+}
+
+// The value part of an entry name: long values are cut and made unique by a hash
+function entryKey(value) {
+  return value.length > MAX_ENTRY_KEY_LENGTH
+    ? `${value.substring(0, MAX_ENTRY_KEY_LENGTH)}#${hashTagValue(value).substring(0, 16)}`
+    : value;
+}
+
+function entryPrefix(field, key = undefined) {
+  return key === undefined
+    ? `${encodeEntrySegment(field)}~`
+    : `${encodeEntrySegment(field)}~${encodeEntrySegment(key)}~`;
+}
+
+function entryName(field, value, id) {
+  return `${entryPrefix(field, entryKey(value))}${encodeEntrySegment(id)}`;
+}
+
+function parseEntryName(name) {
+  const [field, key, id] = name.split('~').map(decodeEntrySegment);
+  return { field, key, id };
+}
+
+// Expands AND'd tag conditions with { or } groups into the plain AND'd
+// condition lists whose results, combined, answer the query
+function expandTagConditions(tagConditions) {
+  let branches = [[]];
+
+  for (const tagCondition of tagConditions) {
+    if (tagCondition.or) {
+      const alternatives = tagCondition.or.flatMap(expandTagConditions);
+      branches = branches.flatMap(branch => alternatives.map(alternative => [...branch, ...alternative]));
+    } else {
+      branches = branches.map(branch => [...branch, tagCondition]);
+    }
+  }
+
+  return branches;
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+// Maps items through an async function with at most `concurrency` calls in
+// flight, yielding the results in order. Stops starting calls as soon as the
+// consumer stops pulling.
+//
+// Every call is settled into { value } or { error } as soon as it starts, so
+// a failure further ahead is never left unhandled; it is thrown when its turn
+// comes. Calls still in flight when the consumer stops are waited for.
+async function* readAhead(items, concurrency, fn) {
+  const pending = [];
+  let next = 0;
+
+  try {
+    while (next < items.length || pending.length > 0) {
+      while (pending.length < Math.max(1, concurrency) && next < items.length) {
+        const item = items[next++];
+        pending.push(new Promise(resolve => resolve(fn(item))).then(value => ({ value }), error => ({ error })));
+      }
+      const result = await pending.shift();
+      if ('error' in result) {
+        throw result.error;
+      }
+      yield result.value;
+    }
+  } finally {
+    await Promise.all(pending);
+  }
+}
+
+// Continuation tokens are opaque to callers: base64url JSON holding the
+// underlying page token, the names already consumed in that page and the
+// page size the page token was issued for
+function encodeContinuationToken({ pageToken, skip, pageSize }) {
+  return Buffer.from(JSON.stringify({ t: pageToken || null, s: skip, p: pageSize })).toString('base64url');
+}
+
+function decodeContinuationToken(token) {
+  try {
+    const { t, s, p } = JSON.parse(Buffer.from(token, 'base64url').toString());
+    if (!Number.isInteger(s) || s < 0 || !Number.isInteger(p) || p <= 0) {
+      throw new Error('malformed');
+    }
+    return { pageToken: t || undefined, skip: s, pageSize: p };
+  } catch (error) {
+    throw new Error('Invalid continuation token.');
+  }
+}
+
+function isMultiValued(values) {
+  return values.length > 1 || (values.length === 1 && Array.isArray(values[0]));
+}
+
+// The value of a path holding at most one value, undefined otherwise
+function singleValue(values) {
+  return isMultiValued(values) ? undefined : values[0];
+}
+
+function countTagQueryBranches(tagConditions) {
+  return tagConditions.reduce(
+    (count, tagCondition) => count * (tagCondition.or
+      ? tagCondition.or.reduce((sum, alternative) => sum + countTagQueryBranches(alternative), 0)
+      : 1),
+    1
+  );
+}
+
+// Runs operation, retrying with exponential backoff while it fails with a ConcurrencyError
+async function retryOnConflict(operation, retryOptions, onRetry = () => {}) {
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (!(error instanceof ConcurrencyError) || attempt >= retryOptions.maxRetries) {
+        throw error;
+      }
+      attempt++;
+      const delay = Math.min(retryOptions.initialDelay * Math.pow(2, attempt), retryOptions.maxDelay);
+      onRetry(attempt, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Fields with a single-field unique index
+function uniqueFieldsOf(indexes) {
+  return new Set(Array.from(indexes.values())
+    .filter(index => index.unique && index.fields.length === 1)
+    .map(index => index.fields[0]));
+}
+
+function reservationName(fields, tagValues) {
+  return `${RESERVATION_PREFIX}${hashTagValue(JSON.stringify([fields, tagValues]))}`;
+}
+
+function uniqueViolation(fields) {
+  const error = new Error(`Unique constraint violation: A document with the same "${fields.join('", "')}" already exists.`);
+  error.fields = fields;
+  return error;
+}
+
+function duplicateId(collection, id) {
+  const error = new Error(`Document with id ${id} already exists in collection ${collection}.`);
+  error.statusCode = 409;
+  error.id = id;
+  return error;
+}
+
+function staleVersion(collection, id) {
+  return new ConcurrencyError(
+    `Document with id ${id} in collection ${collection} has been modified since it was read.`,
+    { collection, id }
+  );
+}
+
+// Attaches the blob version to a document without making it part of its content
+function withVersion(doc, eTag) {
+  Object.defineProperty(doc, '_etag', { value: eTag, configurable: true });
+  return doc;
+}
+
+// Attaches the relevance of a document for a $text query, read by sorts and
+// projections on { $meta: 'textScore' }
+function withTextScore(doc, score) {
+  Object.defineProperty(doc, '_score', { value: score, configurable: true });
+  return doc;
+}
+
+// Applies a projection, keeping the version of the document
+function project(doc, projection) {
+  const projected = applyProjection(doc, projection);
+  return projected && projected !== doc && doc._etag !== undefined ? withVersion(projected, doc._etag) : projected;
+}
+
+function notImplemented(storage, method) {
+  return new Error(`${storage.constructor.name} does not implement ${method}().`);
+}
+
+// Methods StormiDB calls on its storage
+StorageAdapter.REQUIRED_METHODS = [
+  'create',
+  'read',
+  'update',
+  'delete',
+  'find',
+  'countDocuments',
+  'createIndex',
+  'dropCollection',
+  'listCollections',
+];
+StorageAdapter.DEFAULT_RETRY_OPTIONS = DEFAULT_RETRY_OPTIONS;
+StorageAdapter.TAG_OPERATORS = TAG_OPERATORS;
+StorageAdapter.secondaryIndexContainer = secondaryIndexContainer;
+
+module.exports = StorageAdapter;
@@ -0,0 +1,47 @@
+// src/storage/blobHelpers.js
+
+const crypto = require('crypto');
+
+const MAX_CONTAINER_NAME_LENGTH = 63;
+
+// Splits a sorted list of blob names into pages, like Azure's byPage(). The
+// continuation token of a page is its last name; resuming from it lists the
+// names after it.
+function* paginate(names, maxPageSize = 5000, continuationToken = undefined) {
+  let start = 0;
+  if (continuationToken !== undefined) {
+    start = names.findIndex(name => name > continuationToken);
+    if (start === -1) {
+      return;
+    }
+  }
+
+  for (let i = start; i < names.length; i += maxPageSize) {
+    const pageNames = names.slice(i, i + maxPageSize);
+    yield {
+      names: pageNames,
+      continuationToken: i + maxPageSize < names.length ? pageNames[pageNames.length - 1] : undefined,
+    };
+  }
+}
+
+// Container and bucket names are cut to 63 characters. A longer name keeps
+// its start followed by a hash of the whole name, so that names differing
+// only after the cut get containers of their own.
+function shortenContainerName(sanitized) {
+  if (sanitized.length <= MAX_CONTAINER_NAME_LENGTH) {
+    return sanitized;
+  }
+  const hash = crypto.createHash('sha256').update(sanitized).digest('hex').substring(0, 8);
+  return `${sanitized.substring(0, MAX_CONTAINER_NAME_LENGTH - hash.length - 1).replace(/-+$/, '')}-${hash}`;
+}
+
+// Error thrown by writeBlob when an ifMatch/ifNoneMatch condition fails,
+// shaped like the Azure RestError StorageAdapter checks for
+function conditionNotMet(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = { paginate, shortenContainerName, conditionNotMet };
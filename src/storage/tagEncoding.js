@@ -1,5 +1,14 @@
 // src/storage/tagEncoding.js
 
+// Value types an index can declare. Tag values are compared as strings by
+// Azure, so numbers and dates get encodings whose string order matches their
+// natural order.
+const TagType = {
+  STRING: 'string',
+  NUMBER: 'number',
+  DATE: 'date',
+};
+
 function encodeTagValue(value) {
   // Escape underscores
   let encoded = value.replace(/_/g, '__');
@@ -30,4 +39,179 @@ function hashTagValue(value) {
   return require('crypto').createHash('sha256').update(value).digest('hex');
 }
 
-module.exports = { encodeTagValue, decodeTagValue, hashTagValue };
+// Encodes a number as 16 hex digits of its IEEE 754 representation, with the
+// sign bit flipped for positives and every bit inverted for negatives, so that
+// string order equals numeric order (-Infinity < -1 < 0 < 9 < 100 < Infinity).
+function encodeNumberTagValue(number) {
+  if (typeof number !== 'number' || Number.isNaN(number)) {
+    return null;
+  }
+
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleBE(number === 0 ? 0 : number); // Treat -0 as 0
+
+  if (buffer[0] & 0x80) {
+    for (let i = 0; i < buffer.length; i++) {
+      buffer[i] = ~buffer[i] & 0xff;
+    }
+  } else {
+    buffer[0] |= 0x80;
+  }
+
+  return buffer.toString('hex').toUpperCase();
+}
+
+function decodeNumberTagValue(encodedValue) {
+  const buffer = Buffer.from(encodedValue, 'hex');
+
+  if (buffer[0] & 0x80) {
+    buffer[0] &= 0x7f;
+  } else {
+    for (let i = 0; i < buffer.length; i++) {
+      buffer[i] = ~buffer[i] & 0xff;
+    }
+  }
+
+  return buffer.readDoubleBE(0);
+}
+
+// Normalizes a Date, ISO string or timestamp to a UTC ISO 8601 string
+// (fixed width for years 0-9999, so string order is chronological). Strings
+// without a UTC offset ('2024-03-05', '2024-03-05T09:30') are wall-clock
+// times in timeZone.
+function encodeDateTagValue(value, timeZone = DEFAULT_TIME_ZONE) {
+  const date = toDate(value, timeZone);
+  return date ? date.toISOString() : null;
+}
+
+// Date index buckets and the part of a local 'YYYY-MM-DDTHH' time each keeps
+const DateGranularity = {
+  HOURLY: 'hourly',
+  DAILY: 'daily',
+  MONTHLY: 'monthly',
+};
+
+const BUCKET_LENGTHS = {
+  [DateGranularity.HOURLY]: 13,
+  [DateGranularity.DAILY]: 10,
+  [DateGranularity.MONTHLY]: 7,
+};
+
+const BUCKET_PATTERNS = {
+  [DateGranularity.HOURLY]: /^\d{4}-\d{2}-\d{2}T\d{2}$/,
+  [DateGranularity.DAILY]: /^\d{4}-\d{2}-\d{2}$/,
+  [DateGranularity.MONTHLY]: /^\d{4}-\d{2}$/,
+};
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?$/;
+
+/**
+ * The bucket a date falls in, as local time in timeZone: '2024-03-05T14'
+ * (hourly), '2024-03-05' (daily) or '2024-03' (monthly). Buckets have a fixed
+ * width, so string order is chronological.
+ *
+ * @returns {string|null} null when value is not a date.
+ */
+function encodeDateBucket(value, granularity, timeZone = DEFAULT_TIME_ZONE) {
+  const date = toDate(value, timeZone);
+  if (!date) {
+    return null;
+  }
+
+  const { year, month, day, hour } = localTime(date.getTime(), timeZone);
+  const pad = (number, width = 2) => String(number).padStart(width, '0');
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}`.substring(0, BUCKET_LENGTHS[granularity]);
+}
+
+// A bucket given as such ('2024-03-05' for daily) is kept; any other value is
+// a date whose bucket is taken
+function toDateBucket(value, granularity, timeZone = DEFAULT_TIME_ZONE) {
+  if (typeof value === 'string' && BUCKET_PATTERNS[granularity].test(value)) {
+    return value;
+  }
+  return encodeDateBucket(value, granularity, timeZone);
+}
+
+function isTimeZone(timeZone) {
+  try {
+    localFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function toDate(value, timeZone) {
+  let date;
+  if (value instanceof Date || typeof value === 'number') {
+    date = new Date(value);
+  } else if (typeof value === 'string') {
+    const match = LOCAL_DATE_TIME_PATTERN.exec(value);
+    date = match ? new Date(wallClockToTime(match, timeZone)) : new Date(value);
+  } else {
+    return null;
+  }
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// The instant a wall-clock time in a time zone refers to. The offset at the
+// wall-clock time read as UTC is right except near a DST change, which the
+// second pass corrects.
+function wallClockToTime(match, timeZone) {
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map(part => Number(part || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, Math.round(Number(match[7] || 0) * 1000));
+
+  const time = wallClock - timeZoneOffset(wallClock, timeZone);
+  return wallClock - timeZoneOffset(time, timeZone);
+}
+
+// Milliseconds timeZone is ahead of UTC at an instant
+function timeZoneOffset(time, timeZone) {
+  const { year, month, day, hour, minute, second } = localTime(time, timeZone);
+  const wholeSeconds = time - (((time % 1000) + 1000) % 1000);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - wholeSeconds;
+}
+
+function localTime(time, timeZone) {
+  const parts = {};
+  for (const { type, value } of localFormatter(timeZone).formatToParts(new Date(time))) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+const formatters = new Map();
+
+// Throws a RangeError for unknown time zones
+function localFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+module.exports = {
+  TagType,
+  encodeTagValue,
+  decodeTagValue,
+  hashTagValue,
+  encodeNumberTagValue,
+  decodeNumberTagValue,
+  encodeDateTagValue,
+  DateGranularity,
+  encodeDateBucket,
+  toDateBucket,
+  isTimeZone,
+};
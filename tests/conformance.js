@@ -0,0 +1,1170 @@
+// tests/conformance.js
+//
+// Storage adapter conformance suite. Any backend can prove it behaves like the
+// built-in ones by running:
+//
+//   const { runConformanceTests } = require('stormidb/tests/conformance');
+//   await runConformanceTests('MyStorage', () => new MyStorage(...));
+//
+// createStorage is called once per test case. Every case uses its own
+// collection name, so backends that share state between instances work too.
+// Pass options.settle for backends whose tag index is eventually consistent
+// (Azure): it is awaited after every write before the suite queries again.
+
+const assert = require('assert');
+const crypto = require('crypto');
+const StormiDB = require('../src/StormiDB');
+const StorageAdapter = require('../src/storage/StorageAdapter');
+const { ConcurrencyError, BulkWriteError } = require('../src/errors');
+
+const cases = [];
+
+function test(name, fn) {
+  cases.push({ name, fn });
+}
+
+test('implements every required method', async ({ storage }) => {
+  for (const method of StorageAdapter.REQUIRED_METHODS) {
+    assert.strictEqual(typeof storage[method], 'function', `missing ${method}()`);
+  }
+});
+
+test('create assigns a ULID and read returns the stored document', async ({ storage, collection, settle }) => {
+  const data = { name: 'Alice', createdAt: new Date('2022-01-15T10:00:00Z') };
+  const id = await storage.create(collection, data);
+  await settle();
+
+  assert.match(id, /^[0-9A-HJKMNP-TV-Z]{26}$/);
+  assert.strictEqual(data.id, id);
+  assert.deepStrictEqual(await storage.read(collection, id), {
+    name: 'Alice',
+    createdAt: '2022-01-15T10:00:00.000Z',
+    id,
+  });
+});
+
+test('create honours an explicit id', async ({ storage, collection, settle }) => {
+  const id = await storage.create(collection, { name: 'Bob' }, 'custom-id');
+  await settle();
+
+  assert.strictEqual(id, 'custom-id');
+  assert.strictEqual((await storage.read(collection, 'custom-id')).name, 'Bob');
+});
+
+test('read returns null for a missing document', async ({ storage, collection }) => {
+  assert.strictEqual(await storage.read(collection, 'does-not-exist'), null);
+});
+
+test('update replaces the document and keeps its id', async ({ storage, collection, settle }) => {
+  const id = await storage.create(collection, { name: 'Alice', age: 30 });
+  await settle();
+  await storage.update(collection, id, { name: 'Alicia' });
+  await settle();
+
+  assert.deepStrictEqual(await storage.read(collection, id), { name: 'Alicia', id });
+});
+
+test('update rejects a missing document', async ({ storage, collection }) => {
+  await assert.rejects(storage.update(collection, 'does-not-exist', { name: 'x' }), /does not exist/);
+});
+
+test('delete removes the document and ignores missing ids', async ({ storage, collection, settle }) => {
+  const id = await storage.create(collection, { name: 'Alice' });
+  await settle();
+  await storage.delete(collection, id);
+  await storage.delete(collection, id);
+  await settle();
+
+  assert.strictEqual(await storage.read(collection, id), null);
+  assert.deepStrictEqual(await storage.find(collection, {}), []);
+});
+
+test('find with an empty query returns documents in creation order', async ({ storage, collection, settle }) => {
+  const ids = [];
+  for (const name of ['a', 'b', 'c', 'd']) {
+    ids.push(await storage.create(collection, { name }));
+  }
+  await settle();
+
+  assert.deepStrictEqual((await storage.find(collection, {})).map(doc => doc.id), ids);
+  assert.deepStrictEqual(
+    (await storage.find(collection, {}, { offset: 1, limit: 2 })).map(doc => doc.id),
+    ids.slice(1, 3)
+  );
+  assert.deepStrictEqual(
+    (await storage.find(collection, {}, { limit: 3, batchSize: 2 })).map(doc => doc.id),
+    ids.slice(0, 3)
+  );
+});
+
+test('find evaluates indexed, non-indexed and mixed conditions', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'city');
+  await storage.createIndex(collection, 'age');
+  const alice = await storage.create(collection, { name: 'Alice', city: 'NY', age: 30 });
+  const bob = await storage.create(collection, { name: 'Bob', city: 'NY', age: 9 });
+  const carol = await storage.create(collection, { name: 'Carol', city: 'LA', age: 100 });
+  await settle();
+
+  const ids = async (query, options) => (await storage.find(collection, query, options)).map(doc => doc.id);
+
+  assert.deepStrictEqual(await ids({ city: 'NY' }), [alice, bob]);
+  assert.deepStrictEqual(await ids({ name: 'Carol' }), [carol]);
+  assert.deepStrictEqual(await ids({ city: 'NY', name: 'Bob' }), [bob]);
+  assert.deepStrictEqual(await ids({ city: 'LA', name: 'Bob' }), []);
+  assert.deepStrictEqual(await ids({ age: { $gte: 27 } }), [alice, carol]);
+  assert.deepStrictEqual(await ids({ city: 'NY' }, { offset: 1 }), [bob]);
+});
+
+test('range queries on indexed numbers and dates follow their natural order', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'score');
+  await storage.createIndex(collection, 'createdAt', { type: 'date' });
+  await storage.createIndex(collection, 'rank', { type: 'number' });
+  const a = await storage.create(collection, { score: -5.5, createdAt: new Date('2023-06-01T00:00:00Z'), rank: '2' });
+  const b = await storage.create(collection, { score: 9, createdAt: '2023-12-31T23:59:59Z', rank: '10' });
+  const c = await storage.create(collection, { score: 100, createdAt: '2024-01-01T00:00:00.000Z', rank: 100 });
+  // Untyped indexes also hold strings, whose tags fall between number encodings
+  await storage.create(collection, { score: 'zebra' });
+  await settle();
+
+  const ids = async query => (await storage.find(collection, query)).map(doc => doc.id);
+
+  assert.deepStrictEqual(await ids({ score: { $gt: 9 } }), [c]);
+  assert.deepStrictEqual(await ids({ score: { $lt: 10 } }), [a, b]);
+  assert.deepStrictEqual(await ids({ score: { $gte: -10, $lte: 9 } }), [a, b]);
+  assert.deepStrictEqual(await ids({ createdAt: { $gte: new Date('2023-12-31T00:00:00Z') } }), [b, c]);
+  assert.deepStrictEqual(await ids({ createdAt: { $lt: '2023-12-01' } }), [a]);
+  assert.deepStrictEqual(await ids({ rank: { $gt: 5 } }), [b, c]);
+  assert.deepStrictEqual(await ids({ rank: 10 }), [b]);
+
+  await assert.rejects(storage.createIndex(collection, 'rank', { type: 'date' }), /already indexed with type/);
+  await assert.rejects(storage.createIndex(collection, 'other', { type: 'boolean' }), /Unsupported index type/);
+});
+
+test('find supports the MongoDB query operators', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'city');
+  await storage.createIndex(collection, 'age');
+  const alice = await storage.create(collection, { name: 'Alice', city: 'NY', age: 30, tags: null });
+  const bob = await storage.create(collection, { name: 'Bob', city: 'LA', age: 25, nickname: 'bobby' });
+  const carol = await storage.create(collection, { name: 'Carol', city: 'SF', age: 35, nickname: 'CJ' });
+  await settle();
+
+  const ids = async query => (await storage.find(collection, query)).map(doc => doc.id);
+
+  assert.deepStrictEqual(await ids({ city: { $ne: 'NY' } }), [bob, carol]);
+  assert.deepStrictEqual(await ids({ city: { $in: ['NY', 'SF', 'Paris'] } }), [alice, carol]);
+  assert.deepStrictEqual(await ids({ city: { $in: [] } }), []);
+  assert.deepStrictEqual(await ids({ name: { $in: ['Bob', /^C/] } }), [bob, carol]);
+  assert.deepStrictEqual(await ids({ city: { $nin: ['NY', 'SF'] } }), [bob]);
+  assert.deepStrictEqual(await ids({ age: { $between: [25, 30] } }), [alice, bob]);
+  assert.deepStrictEqual(await ids({ $and: [{ age: { $gte: 25 } }, { name: { $ne: 'Bob' } }] }), [alice, carol]);
+  assert.deepStrictEqual(await ids({ $or: [{ city: 'LA' }, { age: { $gt: 32 } }] }), [bob, carol]);
+  assert.deepStrictEqual(await ids({ $or: [{ city: 'LA' }, { name: 'Alice' }] }), [alice, bob]);
+  assert.deepStrictEqual(await ids({ age: { $not: { $gt: 28 } } }), [bob]);
+  assert.deepStrictEqual(await ids({ nickname: { $exists: true } }), [bob, carol]);
+  assert.deepStrictEqual(await ids({ nickname: { $exists: false } }), [alice]);
+  assert.deepStrictEqual(await ids({ tags: null }), [alice, bob, carol]);
+  assert.deepStrictEqual(await ids({ tags: { $type: 'null' } }), [alice]);
+  assert.deepStrictEqual(await ids({ nickname: { $type: 'string' }, age: { $type: 'number' } }), [bob, carol]);
+  assert.deepStrictEqual(await ids({ nickname: { $regex: '^b' } }), [bob]);
+  assert.deepStrictEqual(await ids({ nickname: { $regex: '^c', $options: 'i' } }), [carol]);
+  assert.deepStrictEqual(await ids({ name: /o/ }), [bob, carol]);
+  assert.strictEqual(await storage.countDocuments(collection, { city: { $in: ['NY', 'LA'] } }), 2);
+
+  await assert.rejects(storage.find(collection, { age: { $near: 3 } }), /Unsupported query operator \$near/);
+  await assert.rejects(storage.find(collection, { $nor: [{ age: 3 }] }), /Unsupported query operator \$nor/);
+});
+
+test('find matches nested paths and arrays', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'address.city');
+  await storage.createIndex(collection, 'tags');
+  const alice = await storage.create(collection, {
+    address: { city: 'Paris', zip: '75001' },
+    tags: ['admin', 'dev'],
+    scores: [{ subject: 'math', score: 90 }, { subject: 'art', score: 60 }],
+  });
+  const bob = await storage.create(collection, {
+    address: { city: 'Berlin' },
+    tags: ['dev'],
+    scores: [{ subject: 'math', score: 70 }, { subject: 'art', score: 95 }],
+  });
+  const carol = await storage.create(collection, { address: { city: 'Paris' }, tags: [] });
+  await settle();
+
+  const ids = async query => (await storage.find(collection, query)).map(doc => doc.id);
+
+  assert.deepStrictEqual(await ids({ 'address.city': 'Paris' }), [alice, carol]);
+  assert.deepStrictEqual(await ids({ 'address.city': { $in: ['Berlin'] } }), [bob]);
+  assert.deepStrictEqual(await ids({ 'address.zip': { $exists: false } }), [bob, carol]);
+  assert.deepStrictEqual(await ids({ tags: 'dev' }), [alice, bob]);
+  assert.deepStrictEqual(await ids({ tags: ['dev'] }), [bob]);
+  assert.deepStrictEqual(await ids({ tags: { $ne: 'admin' } }), [bob, carol]);
+  assert.deepStrictEqual(await ids({ tags: { $all: ['dev', 'admin'] } }), [alice]);
+  assert.deepStrictEqual(await ids({ tags: { $size: 0 } }), [carol]);
+  assert.deepStrictEqual(await ids({ 'scores.score': { $gt: 92 } }), [bob]);
+  assert.deepStrictEqual(await ids({ 'scores.0.score': { $gt: 80 } }), [alice]);
+  assert.deepStrictEqual(await ids({ scores: { $elemMatch: { subject: 'math', score: { $gte: 80 } } } }), [alice]);
+  assert.deepStrictEqual(await ids({ scores: { $elemMatch: { score: { $gte: 65, $lt: 75 } } } }), [bob]);
+  assert.deepStrictEqual(await ids({ tags: { $elemMatch: { $regex: '^ad' } } }), [alice]);
+  assert.deepStrictEqual(await ids({ 'address.city': 'Paris', tags: { $size: 2 } }), [alice]);
+  assert.strictEqual(await storage.countDocuments(collection, { tags: 'dev' }), 2);
+});
+
+test('$in on an indexed field runs one tag query per value', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'city');
+  const alice = await storage.create(collection, { city: 'NY' });
+  const bob = await storage.create(collection, { city: 'LA' });
+  await storage.create(collection, { city: 'SF' });
+  await settle();
+
+  const queried = [];
+  const findBlobsByTags = storage.findBlobsByTags;
+  storage.findBlobsByTags = function (collectionName, tagConditions, options) {
+    queried.push(tagConditions.length);
+    return findBlobsByTags.call(this, collectionName, tagConditions, options);
+  };
+
+  const found = await storage.find(collection, { city: { $in: ['LA', 'NY'] } });
+  assert.deepStrictEqual(found.map(doc => doc.id), [alice, bob]);
+  assert.deepStrictEqual(queried, [1, 1]);
+});
+
+test('tag conditions narrow partially indexed queries and the rest is filtered in memory', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'city');
+  const alice = await storage.create(collection, { name: 'Alice', city: 'NY', age: 30 });
+  const bob = await storage.create(collection, { name: 'Bob', city: 'NY', age: 25 });
+  const carol = await storage.create(collection, { name: 'Carol', city: 'LA', age: 30 });
+  await settle();
+
+  let tagQueries = 0;
+  let listings = 0;
+  const { findBlobsByTags, listBlobs } = storage;
+  storage.findBlobsByTags = function (...args) {
+    tagQueries++;
+    return findBlobsByTags.apply(this, args);
+  };
+  storage.listBlobs = function (...args) {
+    listings++;
+    return listBlobs.apply(this, args);
+  };
+
+  const ids = async query => (await storage.find(collection, query)).map(doc => doc.id);
+  const queries = [
+    [{ city: 'NY', age: 30 }, [alice]],
+    [{ $and: [{ city: 'NY' }, { name: /o/ }] }, [bob]],
+    [{ $or: [{ city: 'NY', age: 25 }, { city: 'LA' }] }, [bob, carol]],
+    [{ city: { $in: ['NY', 'LA'], $ne: 'LA' }, age: { $lt: 30 } }, [bob]],
+  ];
+
+  for (const [query, expected] of queries) {
+    assert.deepStrictEqual(await ids(query), expected, JSON.stringify(query));
+    assert.strictEqual(await storage.countDocuments(collection, query), expected.length, JSON.stringify(query));
+  }
+  assert.ok(tagQueries > 0);
+  assert.strictEqual(listings, 0);
+});
+
+test('explain reports the plan and execution stats', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'city');
+  await storage.create(collection, { name: 'Alice', city: 'NY' });
+  await storage.create(collection, { name: 'Bob', city: 'NY' });
+  await storage.create(collection, { name: 'Carol', city: 'LA' });
+  await settle();
+
+  const tags = await storage.explain(collection, { city: 'NY', name: 'Bob' });
+  assert.strictEqual(tags.scanType, 'tags');
+  assert.strictEqual(tags.tagFilter, `("city" = 'NY')`);
+  assert.deepStrictEqual(Object.keys(tags.residualQuery), ['name']);
+  assert.deepStrictEqual(tags.indexUsed.fields, ['city']);
+  assert.deepStrictEqual(
+    { blobsListed: tags.executionStats.blobsListed, documentsReturned: tags.executionStats.documentsReturned },
+    { blobsListed: 2, documentsReturned: 1 }
+  );
+
+  const alternatives = await storage.explain(collection, { city: { $in: ['NY', 'LA'] } }, { execute: false });
+  assert.deepStrictEqual(alternatives.tagQueries, [`"city" = 'NY'`, `"city" = 'LA'`]);
+  assert.deepStrictEqual(alternatives.residualQuery, {});
+  assert.strictEqual(alternatives.executionStats, undefined);
+
+  const scan = await new StormiDB(storage).explain(collection, { name: 'Carol' }, { limit: 1 });
+  assert.strictEqual(scan.scanType, 'fullScan');
+  assert.strictEqual(scan.tagFilter, null);
+  assert.strictEqual(scan.indexUsed, null);
+  assert.strictEqual(scan.executionStats.blobsListed, 3);
+  assert.strictEqual(scan.executionStats.documentsReturned, 1);
+
+  assert.strictEqual((await storage.explain(collection, {})).scanType, 'list');
+});
+
+test('find sorts before paginating', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'team');
+  const a = await storage.create(collection, { team: 'x', age: 30, name: { last: 'Smith' }, joined: new Date('2021-05-01') });
+  const b = await storage.create(collection, { team: 'x', age: 25, name: { last: 'Brown' }, joined: new Date('2019-01-01') });
+  const c = await storage.create(collection, { team: 'y', age: 30, name: { last: 'Adams' } });
+  const d = await storage.create(collection, { team: 'x', age: 41, name: { last: 'Brown' }, joined: new Date('2020-03-15') });
+  await settle();
+
+  const ids = async (query, options) => (await storage.find(collection, query, options)).map(doc => doc.id);
+
+  assert.deepStrictEqual(await ids({}, { sort: { age: 1 } }), [b, a, c, d]);
+  assert.deepStrictEqual(await ids({}, { sort: { age: -1, 'name.last': 1 } }), [d, c, a, b]);
+  assert.deepStrictEqual(await ids({}, { sort: { 'name.last': 'asc', age: 'desc' } }), [c, d, b, a]);
+  assert.deepStrictEqual(await ids({}, { sort: { joined: 1 } }), [c, b, d, a]);
+  assert.deepStrictEqual(await ids({ team: 'x' }, { sort: { joined: -1 }, offset: 1, limit: 1 }), [d]);
+  assert.deepStrictEqual(await ids({}, { sort: { age: 1 }, limit: 2 }), [b, a]);
+  assert.deepStrictEqual(await ids({}, { sort: { id: -1 } }), [d, c, b, a]);
+  assert.deepStrictEqual(await ids({ team: 'x' }, { sort: { id: -1 }, limit: 2 }), [d, b]);
+  assert.deepStrictEqual(await ids({}, { sort: { id: 1 }, offset: 2 }), [c, d]);
+  await assert.rejects(storage.find(collection, {}, { sort: { age: 2 } }), /Invalid sort direction/);
+
+  // A sort on id walks the listing and stops once the limit is reached
+  const explained = await storage.explain(collection, {}, { sort: { id: 1 }, limit: 1 });
+  assert.strictEqual(explained.sort, 'listingOrder');
+  assert.strictEqual(explained.executionStats.documentsRead, 1);
+  assert.strictEqual((await storage.explain(collection, {}, { sort: { age: 1 }, limit: 1 })).sort, 'topK');
+});
+
+test('continuation tokens page through results without rereading documents', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'group');
+  const ids = [];
+  for (let i = 0; i < 7; i++) {
+    ids.push(await storage.create(collection, { group: i % 2 === 0 ? 'even' : 'odd', i }));
+  }
+  await settle();
+
+  let reads = 0;
+  const read = storage.read;
+  storage.read = function (...args) {
+    reads++;
+    return read.apply(this, args);
+  };
+
+  const pageThrough = async (query, options) => {
+    const seen = [];
+    let continuationToken;
+    do {
+      const page = await storage.findPage(collection, query, { ...options, continuationToken });
+      seen.push(page.documents.map(doc => doc.id));
+      continuationToken = page.continuationToken;
+    } while (continuationToken);
+    return seen;
+  };
+
+  assert.deepStrictEqual(await pageThrough({}, { limit: 3, batchSize: 2 }), [ids.slice(0, 3), ids.slice(3, 6), ids.slice(6)]);
+  assert.strictEqual(reads, 7);
+
+  const even = ids.filter((id, i) => i % 2 === 0);
+  assert.deepStrictEqual((await pageThrough({ group: 'even' }, { limit: 2, batchSize: 3 })).flat(), even);
+  assert.deepStrictEqual((await pageThrough({ i: { $gte: 2 } }, { limit: 2 })).flat(), ids.slice(2));
+  assert.deepStrictEqual((await pageThrough({ group: { $in: ['odd', 'even'] } }, { limit: 4, batchSize: 3 })).flat(), ids);
+  assert.deepStrictEqual((await pageThrough({}, { limit: 2, sort: { id: 1 } })).flat(), ids);
+  // The offset only skips documents before the first page
+  assert.deepStrictEqual(await pageThrough({}, { offset: 2, limit: 3 }), [ids.slice(2, 5), ids.slice(5)]);
+
+  // find exposes the token as a non-enumerable property of the result
+  const first = await storage.find(collection, {}, { limit: 5 });
+  assert.strictEqual(first.length, 5);
+  const rest = await storage.find(collection, {}, { limit: 5, continuationToken: first.continuationToken });
+  assert.deepStrictEqual(rest.map(doc => doc.id), ids.slice(5));
+  assert.strictEqual(rest.continuationToken, undefined);
+
+  await assert.rejects(storage.find(collection, {}, { continuationToken: 'nonsense' }), /Invalid continuation token/);
+  await assert.rejects(
+    storage.find(collection, {}, { sort: { i: 1 }, continuationToken: first.continuationToken }),
+    /Continuation tokens can only be used/
+  );
+});
+
+test('iterate and findStream yield documents as they are read', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'kind');
+  const ids = [];
+  for (let i = 0; i < 10; i++) {
+    ids.push(await storage.create(collection, { kind: i < 6 ? 'a' : 'b', rank: (i * 7) % 10 }));
+  }
+  await settle();
+
+  let reads = 0;
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const read = storage.read;
+  storage.read = async function (...args) {
+    reads++;
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    inFlight--;
+    return read.apply(this, args);
+  };
+
+  const collect = async iterable => {
+    const seen = [];
+    for await (const doc of iterable) {
+      seen.push(doc.id);
+    }
+    return seen;
+  };
+
+  assert.deepStrictEqual(await collect(storage.iterate(collection, {}, { concurrency: 3 })), ids);
+  assert.ok(maxInFlight <= 3 && maxInFlight > 1, `max in flight ${maxInFlight}`);
+  assert.deepStrictEqual(await collect(storage.iterate(collection, { kind: 'a' }, { offset: 1, limit: 3 })), ids.slice(1, 4));
+
+  // Sorted without a limit: keys are collected, then documents are read again in order
+  const byRank = [...ids].sort((x, y) => ((ids.indexOf(x) * 7) % 10) - ((ids.indexOf(y) * 7) % 10));
+  assert.deepStrictEqual(await collect(storage.iterate(collection, {}, { sort: { rank: 1 } })), byRank);
+  assert.deepStrictEqual(await collect(storage.iterate(collection, {}, { sort: { rank: -1 }, limit: 2 })), [...byRank].reverse().slice(0, 2));
+
+  // Stopping early stops reading
+  reads = 0;
+  for await (const doc of storage.iterate(collection, {}, { concurrency: 2, batchSize: 4 })) {
+    assert.strictEqual(doc.id, ids[0]);
+    break;
+  }
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.ok(reads <= 3, `${reads} reads after stopping`);
+
+  const stream = new StormiDB(storage).findStream(collection, { kind: 'b' });
+  assert.ok(stream.readable);
+  assert.deepStrictEqual(await collect(stream), ids.slice(6));
+
+  reads = 0;
+  const early = storage.findStream(collection, {}, { concurrency: 1, batchSize: 2 });
+  await new Promise(resolve => early.once('data', () => {
+    early.destroy();
+    resolve();
+  }));
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.ok(reads < ids.length, `${reads} reads after destroying the stream`);
+});
+
+test('projections shape results and are answered from tags when covered', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'age', { type: 'number' });
+  await storage.createIndex(collection, 'city', { type: 'string' });
+  const a = await storage.create(collection, { name: 'Alice', age: 30, city: 'NY', address: { zip: '10001', street: 'Main' } });
+  const b = await storage.create(collection, { name: 'Bob', age: 25, city: 'NY', address: { zip: '10002' } });
+  await storage.create(collection, { name: 'Carol', age: 41, city: 'LA' });
+  await settle();
+
+  const db = new StormiDB(storage);
+  assert.deepStrictEqual(
+    await db.find(collection, { city: 'NY' }, { projection: { name: 1, 'address.zip': 1 } }),
+    [{ id: a, name: 'Alice', address: { zip: '10001' } }, { id: b, name: 'Bob', address: { zip: '10002' } }]
+  );
+  assert.deepStrictEqual(
+    await db.findOne(collection, { name: 'Alice' }, { projection: { address: 0, city: 0 } }),
+    { id: a, name: 'Alice', age: 30 }
+  );
+  assert.deepStrictEqual(await db.findById(collection, b, { projection: { name: 1, id: 0 } }), { name: 'Bob' });
+  assert.deepStrictEqual(await db.findById(collection, b, { projection: {} }), await db.findById(collection, b));
+  await assert.rejects(db.find(collection, {}, { projection: { name: 1, age: 0 } }), /cannot mix/);
+
+  // Typed, indexed fields come straight from the tags without downloading documents
+  const readBlob = storage.readBlob;
+  let reads = 0;
+  storage.readBlob = function (...args) {
+    if (!args[1].startsWith('__')) reads++;
+    return readBlob.apply(this, args);
+  };
+  try {
+    assert.deepStrictEqual(
+      await db.find(collection, { city: 'NY' }, { projection: { age: 1, city: 1 }, sort: { age: 1 } }),
+      [{ id: b, age: 25, city: 'NY' }, { id: a, age: 30, city: 'NY' }]
+    );
+    assert.deepStrictEqual(await db.findById(collection, a, { projection: { age: 1 } }), { id: a, age: 30 });
+    assert.strictEqual(reads, 0);
+    assert.strictEqual(
+      (await storage.explain(collection, { city: 'NY' }, { projection: { age: 1 }, execute: false })).projectionCoveredByTags,
+      true
+    );
+
+    // Residual conditions and unindexed fields need the documents
+    await db.find(collection, { city: 'NY', name: 'Bob' }, { projection: { age: 1 } });
+    assert.ok(reads > 0);
+    assert.strictEqual(
+      (await storage.explain(collection, {}, { projection: { age: 1, name: 1 }, execute: false })).projectionCoveredByTags,
+      false
+    );
+  } finally {
+    storage.readBlob = readBlob;
+  }
+});
+
+test('countDocuments agrees with find', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'city');
+  await storage.create(collection, { city: 'NY', role: 'admin' });
+  await storage.create(collection, { city: 'NY', role: 'user' });
+  await storage.create(collection, { city: 'LA', role: 'user' });
+  await settle();
+
+  for (const query of [{}, { city: 'NY' }, { role: 'user' }, { city: 'NY', role: 'user' }]) {
+    const found = await storage.find(collection, query);
+    assert.strictEqual(await storage.countDocuments(collection, query), found.length, JSON.stringify(query));
+  }
+});
+
+test('unique indexes reject duplicates on create and update', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'email', { unique: true });
+  const alice = await storage.create(collection, { email: 'alice@example.com' });
+  const bob = await storage.create(collection, { email: 'bob@example.com' });
+  await settle();
+
+  await assert.rejects(
+    storage.create(collection, { email: 'alice@example.com' }),
+    /Unique constraint violation/
+  );
+  await assert.rejects(
+    storage.update(collection, bob, { email: 'alice@example.com' }),
+    /Unique constraint violation/
+  );
+
+  // Keeping the same value, or moving to a new one, is allowed
+  await storage.update(collection, alice, { email: 'alice@example.com', name: 'Alice' });
+  await storage.update(collection, alice, { email: 'alicia@example.com' });
+  await settle();
+
+  // The old value is released
+  await storage.create(collection, { email: 'alice@example.com' });
+});
+
+test('unique values are reserved atomically and released on change or delete', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'handle', { unique: true });
+
+  // Concurrent creates of the same value: exactly one wins
+  const results = await Promise.allSettled([1, 2, 3, 4].map(n => storage.create(collection, { handle: 'same', n })));
+  assert.strictEqual(results.filter(({ status }) => status === 'fulfilled').length, 1);
+  assert.ok(results.filter(({ status }) => status === 'rejected')
+    .every(({ reason }) => /Unique constraint violation/.test(reason.message)));
+  await settle();
+  assert.strictEqual(await storage.countDocuments(collection, {}), 1);
+
+  // Changing or deleting releases the value
+  const moved = await storage.create(collection, { handle: 'old' });
+  await storage.update(collection, moved, { $set: { handle: 'new' } });
+  // Tag indexes lag behind on some backends: a stale match is read and skipped
+  const findBlobsByTags = storage.findBlobsByTags;
+  storage.findBlobsByTags = async function* () {
+    yield { names: [moved] };
+  };
+  let reused;
+  try {
+    reused = await storage.create(collection, { handle: 'old' });
+  } finally {
+    storage.findBlobsByTags = findBlobsByTags;
+  }
+  await assert.rejects(storage.create(collection, { handle: 'new' }), /Unique constraint violation/);
+  await storage.delete(collection, moved);
+  await storage.create(collection, { handle: 'new' });
+
+  // A reservation whose document is gone blocks the value until it times out
+  await storage.deleteBlob(collection, reused);
+  await assert.rejects(storage.create(collection, { handle: 'old' }), /Unique constraint violation/);
+  storage.reservationTimeout = 0;
+  await storage.create(collection, { handle: 'old' });
+
+  const orphan = await storage.create(collection, { handle: 'orphan' });
+  await storage.deleteBlob(collection, orphan);
+  assert.strictEqual(await storage.cleanupReservations(collection), 1);
+  assert.strictEqual(await storage.cleanupReservations(collection), 0);
+  await settle();
+  assert.strictEqual(await storage.countDocuments(collection, {}), 3);
+});
+
+test('compound unique indexes constrain the combination of values', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, ['tenantId', 'email'], { unique: true });
+  const a = await storage.create(collection, { tenantId: 't1', email: 'ann@example.com' });
+  await storage.create(collection, { tenantId: 't2', email: 'ann@example.com' });
+  const b = await storage.create(collection, { tenantId: 't1', email: 'bob@example.com' });
+  await storage.create(collection, { email: 'ann@example.com' });
+  await settle();
+
+  const indexDefs = await storage.loadIndexDefinitions(collection);
+  assert.deepStrictEqual(Array.from(indexDefs.uniqueFields), []);
+  assert.deepStrictEqual(indexDefs.indexes.get('tenantId_email'), { fields: ['tenantId', 'email'], unique: true, status: 'ready' });
+
+  await assert.rejects(
+    storage.create(collection, { tenantId: 't1', email: 'ann@example.com' }),
+    /Unique constraint violation: A document with the same "tenantId", "email" already exists/
+  );
+  await assert.rejects(storage.update(collection, b, { $set: { email: 'ann@example.com' } }), /Unique constraint violation/);
+  await storage.update(collection, b, { $set: { tenantId: 't3', email: 'ann@example.com' } });
+
+  const db = new StormiDB(storage);
+  await assert.rejects(
+    db.update(collection, 'upserted', { $set: { tenantId: 't3', email: 'ann@example.com' } }, { upsert: true }),
+    /Unique constraint violation/
+  );
+
+  // Moving away releases the old combination
+  await storage.update(collection, a, { $set: { tenantId: 't4' } });
+  await storage.create(collection, { tenantId: 't1', email: 'ann@example.com' });
+});
+
+test('createIndex backfills existing documents and validates unique constraints', async ({ storage, collection, settle }) => {
+  const ids = [];
+  for (const [age, code] of [[30, 'a'], [25, 'b'], [41, 'c'], [35, 'a'], [19, 'd']]) {
+    ids.push(await storage.create(collection, { age, code }));
+  }
+  await settle();
+
+  // Documents are re-tagged in place, not uploaded again
+  const writeBlob = storage.writeBlob;
+  let documentWrites = 0;
+  storage.writeBlob = function (...args) {
+    if (!args[1].startsWith('__')) documentWrites++;
+    return writeBlob.apply(this, args);
+  };
+  const progress = [];
+  let summary;
+  try {
+    summary = await storage.createIndex(collection, 'age', {
+      type: 'number',
+      backfill: true,
+      onProgress: update => progress.push(update),
+    });
+  } finally {
+    storage.writeBlob = writeBlob;
+  }
+  await settle();
+
+  assert.strictEqual(documentWrites, 0);
+  assert.deepStrictEqual(summary, { processed: 5, retagged: 5, resumed: false });
+  assert.deepStrictEqual(progress[progress.length - 1], { processed: 5, retagged: 5 });
+  const explained = await storage.explain(collection, { age: { $gte: 30 } });
+  assert.strictEqual(explained.scanType, 'tags');
+  assert.strictEqual(explained.executionStats.documentsReturned, 3);
+
+  // Existing duplicates prevent enabling a unique constraint, which needs a backfill
+  await assert.rejects(storage.createIndex(collection, 'code', { unique: true }), /only reserved with \{ backfill: true \}/);
+  await assert.rejects(storage.createIndex(collection, 'code', { unique: true, backfill: true }), /Cannot create unique index on "code"/);
+  assert.ok(!(await storage.loadIndexDefinitions(collection)).indexes.has('code'));
+  await storage.delete(collection, ids[3]);
+  await storage.createIndex(collection, 'code', { unique: true, backfill: true });
+  await assert.rejects(storage.create(collection, { code: 'c' }), /Unique constraint violation/);
+
+  // A rebuild interrupted after a page resumes from its checkpoint
+  await storage.createIndex(collection, 'code', { type: 'string', unique: true });
+  await assert.rejects(storage.rebuildIndexes(collection, {
+    batchSize: 2,
+    onProgress: () => { throw new Error('crash'); },
+  }), /crash/);
+  const resumed = await new StormiDB(storage).rebuildIndexes(collection, { batchSize: 2 });
+  assert.deepStrictEqual({ processed: resumed.processed, resumed: resumed.resumed }, { processed: 4, resumed: true });
+  assert.deepStrictEqual(await storage.rebuildIndexes(collection), { processed: 4, retagged: 0, resumed: false });
+});
+
+test('a rebuild starts over when the indexes changed since it was interrupted', async ({ storage, collection, settle }) => {
+  for (let i = 0; i < 5; i++) {
+    await storage.create(collection, { a: i, b: i % 2 });
+  }
+  await storage.createIndex(collection, 'a');
+  await assert.rejects(storage.rebuildIndexes(collection, {
+    batchSize: 2,
+    onProgress: () => { throw new Error('crash'); },
+  }), /crash/);
+
+  const rebuilt = await storage.createIndex(collection, 'b', { backfill: true });
+  await settle();
+  assert.deepStrictEqual(rebuilt, { processed: 5, retagged: 5, resumed: false });
+  assert.deepStrictEqual((await storage.listIndexes(collection)).map(index => [index.name, index.status]), [['a', 'ready'], ['b', 'ready']]);
+  assert.strictEqual((await storage.find(collection, { b: 0 })).length, 3);
+  assert.strictEqual((await storage.find(collection, { a: { $gte: 3 } })).length, 2);
+});
+
+test('numbers tagged before the hex encoding are filtered in memory until a rebuild', async ({ storage, collection, settle }) => {
+  // Index definitions and a document as written before numbers were tagged in hex
+  await storage.writeBlob(collection, '__collection_indexes', JSON.stringify({
+    indexedFields: ['age'],
+    uniqueFields: [],
+    indexes: { age: { fields: ['age'], unique: false } },
+  }), { ifNoneMatch: '*' });
+  await storage.writeBlob(collection, 'old', JSON.stringify({ id: 'old', age: 30 }), { tags: { age: '30' } });
+  await storage.create(collection, { age: 9 }, 'new');
+  await settle();
+
+  const ids = async query => (await storage.find(collection, query)).map(doc => doc.id).sort();
+  assert.deepStrictEqual(await ids({ age: { $gt: 10 } }), ['old']);
+  assert.deepStrictEqual(await ids({ age: { $in: [9, 30] } }), ['new', 'old']);
+  assert.strictEqual((await storage.explain(collection, { age: 30 }, { execute: false })).scanType, 'fullScan');
+
+  await storage.rebuildIndexes(collection);
+  await settle();
+  assert.strictEqual((await storage.explain(collection, { age: 30 }, { execute: false })).scanType, 'tags');
+  assert.deepStrictEqual(await ids({ age: { $gt: 10 } }), ['old']);
+  assert.deepStrictEqual(await ids({ age: 9 }), ['new']);
+});
+
+test('a rebuild rejects when reindexing a document fails', async ({ storage, collection, settle }) => {
+  for (let i = 0; i < 4; i++) {
+    await storage.create(collection, { rank: i }, `doc-${i}`);
+  }
+  await storage.createIndex(collection, 'rank');
+  await settle();
+
+  // The second document fails while the first one is still being reindexed
+  const reindexDocument = storage.reindexDocument;
+  storage.reindexDocument = async function (collectionName, name) {
+    if (name === 'doc-1') {
+      throw new Error('reindex failed');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return reindexDocument.call(this, collectionName, name);
+  };
+  try {
+    await assert.rejects(storage.rebuildIndexes(collection, { concurrency: 4 }), /reindex failed/);
+  } finally {
+    storage.reindexDocument = reindexDocument;
+  }
+
+  const resumed = await storage.rebuildIndexes(collection);
+  assert.strictEqual(resumed.processed, 4);
+});
+
+test('listIndexes reports build status and dropIndex strips index tags', async ({ storage, collection, settle }) => {
+  const db = new StormiDB(storage);
+  await db.createIndex(collection, 'email', { unique: true });
+  const id = await db.create(collection, { email: 'a@example.com', age: 30 });
+  await db.createIndex(collection, 'age', { type: 'number' });
+  await db.createIndex(collection, ['age', 'email']);
+  await settle();
+
+  assert.deepStrictEqual(await db.listIndexes(collection), [
+    { name: 'email', fields: ['email'], unique: true, hashed: false, type: 'default', store: 'tags', status: 'ready' },
+    { name: 'age', fields: ['age'], unique: false, hashed: false, type: 'number', store: 'tags', status: 'pending' },
+    { name: 'age_email', fields: ['age', 'email'], unique: false, hashed: false, type: 'default', store: 'tags', status: 'pending' },
+  ]);
+  await db.rebuildIndexes(collection);
+  assert.ok((await db.listIndexes(collection)).every(index => index.status === 'ready'));
+
+  // Tags stay while another index still covers the field
+  await db.dropIndex(collection, 'age_email');
+  assert.deepStrictEqual(Object.keys(await storage.readBlobTags(collection, id)).sort(), ['age', 'email']);
+
+  await db.dropIndex(collection, ['email']);
+  await settle();
+  assert.deepStrictEqual(Object.keys(await storage.readBlobTags(collection, id)), ['age']);
+  assert.deepStrictEqual((await db.listIndexes(collection)).map(index => index.name), ['age']);
+  await db.create(collection, { email: 'a@example.com' });
+  await assert.rejects(db.dropIndex(collection, 'email'), /Index "email" does not exist/);
+});
+
+test('date indexes tag value buckets in their time zone', async ({ storage, collection, settle }) => {
+  await assert.rejects(storage.createIndex(collection, 'at', { granularity: 'daily' }), /require an index of type "date"/);
+  await assert.rejects(storage.createIndex(collection, 'at', { type: 'date', granularity: 'weekly' }), /Unsupported date granularity/);
+  await assert.rejects(storage.createIndex(collection, 'at', { type: 'date', timeZone: 'Mars/Olympus' }), /Unknown time zone/);
+  await storage.createIndex(collection, 'at', { type: 'date', granularity: 'daily', timeZone: 'America/New_York' });
+
+  // A Date, an ISO string with an offset and a wall-clock string in New York
+  const late = await storage.create(collection, { at: new Date('2024-03-06T03:30:00Z') });
+  const offset = await storage.create(collection, { at: '2024-03-05T09:00:00+01:00' });
+  const wallClock = await storage.create(collection, { at: '2024-03-06T08:00' });
+  await settle();
+
+  const tags = await storage.readBlobTags(collection, late);
+  assert.strictEqual(tags['at:daily'], '2024-03-05');
+  assert.strictEqual((await storage.readBlobTags(collection, wallClock)).at, '2024-03-06T13:00:00.000Z');
+
+  const ids = async query => (await storage.find(collection, query)).map(doc => doc.id).sort();
+  assert.deepStrictEqual(await ids({ at: { $bucket: '2024-03-05' } }), [late, offset].sort());
+  assert.deepStrictEqual(await ids({ at: { $bucket: new Date('2024-03-06T12:00:00Z') } }), [wallClock]);
+  assert.deepStrictEqual(await ids({ $or: [{ at: { $bucket: '2024-03-06' } }, { at: { $exists: false } }] }), [wallClock]);
+  assert.deepStrictEqual(await ids({ at: { $between: ['2024-03-05T12:00', '2024-03-06T00:00'] } }), [late]);
+  const explained = await storage.explain(collection, { at: { $bucket: '2024-03-05' } }, { execute: false });
+  assert.strictEqual(explained.scanType, 'tags');
+
+  assert.deepStrictEqual((await storage.listIndexes(collection))[0], {
+    name: 'at', fields: ['at'], unique: false, hashed: false, type: 'date', granularity: 'daily', timeZone: 'America/New_York', store: 'tags', status: 'ready',
+  });
+  await storage.createIndex(collection, 'other', { type: 'date' });
+  await assert.rejects(storage.find(collection, { other: { $bucket: '2024-03-05' } }), /requires a date index with a granularity/);
+});
+
+test('hashed indexes store value hashes and only answer equality', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'ssn', { hashed: true, unique: true });
+  await storage.createIndex(collection, 'email');
+  const id = await storage.create(collection, { ssn: '078-05-1120', email: 'ann@example.com' });
+  await settle();
+
+  const tags = await storage.readBlobTags(collection, id);
+  assert.strictEqual(tags.ssn, crypto.createHash('sha256').update('078-05-1120').digest('hex'));
+  assert.strictEqual(tags.email, 'ann_40example.com');
+  assert.deepStrictEqual((await storage.find(collection, { ssn: '078-05-1120' })).map(doc => doc.id), [id]);
+  await assert.rejects(storage.create(collection, { ssn: '078-05-1120' }), /Unique constraint violation/);
+
+  await assert.rejects(storage.find(collection, { ssn: { $gt: '078' } }), /hashed index, which only supports equality/);
+  await assert.rejects(storage.createIndex(collection, ['email', 'ssn'], { hashed: false }), /"ssn" is already indexed with hashing/);
+  assert.deepStrictEqual((await storage.listIndexes(collection)).map(index => index.hashed), [true, false]);
+});
+
+test('indexes beyond the tag limit and long values use the secondary index store', async ({ storage, collection, settle }) => {
+  for (let i = 0; i < 10; i++) {
+    await storage.createIndex(collection, `field${i}`);
+  }
+  await storage.createIndex(collection, 'field10', { type: 'number' });
+  await storage.createIndex(collection, 'title', { store: 'secondary' });
+  await assert.rejects(storage.createIndex(collection, 'field11', { store: 'tags' }), /more than 10 tags per document/);
+  await assert.rejects(storage.createIndex(collection, ['field0', 'title'], { store: 'tags' }), /"title" is already indexed in the secondary store/);
+  assert.deepStrictEqual((await storage.listIndexes(collection)).slice(9).map(index => index.store), ['tags', 'secondary', 'secondary']);
+
+  const long = 'x'.repeat(300);
+  const a = await storage.create(collection, { field0: `${long}a`, field10: 5, title: `${long}a` });
+  const b = await storage.create(collection, { field0: `${long}b`, field10: 7, title: 'Short' });
+  await settle();
+  assert.strictEqual((await storage.readBlobTags(collection, a)).field0.length, 256);
+
+  const ids = async query => (await storage.find(collection, query)).map(doc => doc.id).sort();
+  const explained = await storage.explain(collection, { field10: { $gt: 6 } });
+  assert.strictEqual(explained.scanType, 'secondary');
+  assert.strictEqual(explained.executionStats.documentsRead, 1);
+  assert.deepStrictEqual(await ids({ field10: { $gt: 6 } }), [b]);
+  assert.deepStrictEqual(await ids({ field10: { $in: [5, 7] } }), [a, b].sort());
+  assert.deepStrictEqual(await ids({ title: `${long}a` }), [a]);
+  assert.deepStrictEqual(await ids({ field0: `${long}b` }), [b]);
+  assert.deepStrictEqual(await ids({ field0: { $gt: `${long}a` } }), [b]);
+
+  // Entries follow updates and deletes
+  await storage.update(collection, a, { $set: { field10: 8 } });
+  assert.deepStrictEqual(await ids({ field10: { $gt: 6 } }), [a, b].sort());
+  await storage.delete(collection, b);
+  assert.deepStrictEqual(await ids({ field10: { $gt: 6 } }), [a]);
+
+  await storage.dropIndex(collection, 'field10');
+  const entries = [];
+  for await (const page of storage.listBlobs(StorageAdapter.secondaryIndexContainer(collection))) entries.push(...page.names);
+  assert.ok(entries.length > 0 && entries.every(name => name.startsWith('title~')));
+});
+
+test('long collection names sharing a prefix keep their secondary index stores apart', async ({ storage, collection, settle }) => {
+  // Both names, and their stores, run past the 63 characters of a container name
+  const first = `${collection}-${'x'.repeat(60)}-first`;
+  const second = `${collection}-${'x'.repeat(60)}-second`;
+  try {
+    for (const name of [first, second]) {
+      await storage.createIndex(name, 'name', { store: 'secondary' });
+      await storage.create(name, { name: 'Alice' }, name.endsWith('first') ? 'a' : 'b');
+    }
+    await settle();
+
+    assert.deepStrictEqual((await storage.find(first, { name: 'Alice' })).map(doc => doc.id), ['a']);
+    assert.deepStrictEqual((await storage.find(second, { name: 'Alice' })).map(doc => doc.id), ['b']);
+    await storage.dropCollection(first);
+    await settle();
+    assert.deepStrictEqual((await storage.find(second, { name: 'Alice' })).map(doc => doc.id), ['b']);
+  } finally {
+    await storage.dropCollection(first).catch(() => {});
+    await storage.dropCollection(second).catch(() => {});
+  }
+});
+
+test('text indexes search stemmed words and sort by relevance', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'category');
+  const shirt = await storage.create(collection, { category: 'tops', name: 'Blue cotton shirt', description: 'A shirt for running' });
+  await storage.createIndex(collection, ['name', 'description'], { type: 'text', backfill: true });
+  const jeans = await storage.create(collection, { category: 'bottoms', name: 'Blue jeans', description: 'Classic denim' });
+  const sweater = await storage.create(collection, { category: 'tops', name: 'Wool sweater', description: 'Runs warm' });
+  await settle();
+
+  const ids = async (query, options) => (await storage.find(collection, query, options)).map(doc => doc.id);
+  const byScore = { sort: { score: { $meta: 'textScore' } } };
+
+  assert.deepStrictEqual(await ids({ $text: { $search: 'Shirts BLUE' } }, byScore), [shirt, jeans]);
+  assert.deepStrictEqual(await ids({ $text: { $search: 'run' } }, byScore), [shirt, sweater]);
+  assert.deepStrictEqual(await ids({ $text: { $search: 'blue -jeans' } }), [shirt]);
+  assert.deepStrictEqual(await ids({ $text: { $search: '"blue jeans"' } }), [jeans]);
+  assert.deepStrictEqual(await ids({ $text: { $search: 'blue' }, category: 'tops' }), [shirt]);
+  assert.deepStrictEqual(
+    await storage.find(collection, { $text: { $search: 'denim' } }, { projection: { name: 1, score: { $meta: 'textScore' } } }),
+    [{ id: jeans, name: 'Blue jeans', score: 0.75 }]
+  );
+  assert.strictEqual((await storage.explain(collection, { $text: { $search: 'wool' } })).scanType, 'secondary');
+
+  // Terms follow updates and deletes
+  await storage.update(collection, jeans, { $set: { name: 'Black jeans' } });
+  await storage.delete(collection, sweater);
+  await settle();
+  assert.deepStrictEqual(await ids({ $text: { $search: 'blue wool black' } }), [shirt, jeans]);
+
+  await assert.rejects(storage.createIndex(collection, 'category', { type: 'text' }), /already has a text index/);
+  await assert.rejects(storage.find(collection, { name: 'x' }, byScore), /requires a \$text query/);
+  await storage.dropIndex(collection, 'name_description_text');
+  await assert.rejects(storage.find(collection, { $text: { $search: 'blue' } }), /requires a text index/);
+});
+
+test('aggregate groups, unwinds and projects the documents of a query', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'status');
+  await storage.create(collection, { status: 'paid', amount: 10, items: ['pen', 'ink'], customer: { city: 'NY' } });
+  await storage.create(collection, { status: 'paid', amount: 30, items: ['ink'], customer: { city: 'LA' } });
+  await storage.create(collection, { status: 'open', amount: 5, items: [] });
+  await storage.create(collection, { status: 'void', amount: 100 });
+  await settle();
+
+  assert.deepStrictEqual(await storage.aggregate(collection, [
+    { $match: { status: { $in: ['paid', 'open'] } } },
+    { $group: { _id: '$status', total: { $sum: '$amount' }, avg: { $avg: '$amount' }, min: { $min: '$amount' }, max: { $max: '$amount' }, orders: { $count: {} } } },
+    { $sort: { total: -1 } },
+  ]), [
+    { _id: 'paid', total: 40, avg: 20, min: 10, max: 30, orders: 2 },
+    { _id: 'open', total: 5, avg: 5, min: 5, max: 5, orders: 1 },
+  ]);
+
+  assert.deepStrictEqual(await storage.aggregate(collection, [
+    { $unwind: '$items' },
+    { $group: { _id: '$items', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: 1 },
+    { $project: { _id: 0, item: '$_id', count: 1 } },
+  ]), [{ count: 2, item: 'ink' }]);
+
+  assert.deepStrictEqual(await storage.aggregate(collection, [
+    { $match: { status: 'paid' } },
+    { $sort: { amount: -1 } },
+    { $skip: 1 },
+    { $project: { id: 0, amount: 1, city: '$customer.city' } },
+  ]), [{ amount: 10, city: 'NY' }]);
+
+  const totals = [];
+  for await (const row of storage.aggregateStream(collection, [{ $group: { _id: null, total: { $sum: '$amount' } } }])) {
+    totals.push(row);
+  }
+  assert.deepStrictEqual(totals, [{ _id: null, total: 145 }]);
+
+  await assert.rejects(storage.aggregate(collection, [{ $lookup: {} }]), /Unsupported aggregation stage \$lookup/);
+  await assert.rejects(storage.aggregate(collection, [{ $group: { _id: '$status', first: { $first: '$amount' } } }]), /Unsupported accumulator \$first/);
+});
+
+test('bulk writes report per-item results in ordered and unordered modes', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'email', { unique: true });
+  await storage.createIndex(collection, 'team');
+
+  const inserted = await storage.insertMany(collection, [
+    { id: 'a', email: 'a@example.com', team: 'red', score: 1 },
+    { id: 'b', email: 'b@example.com', team: 'red', score: 2 },
+    { id: 'c', email: 'c@example.com', team: 'blue', score: 3 },
+  ]);
+  assert.strictEqual(inserted.insertedCount, 3);
+  assert.deepStrictEqual(inserted.results.map(({ id, status }) => [id, status]), [['a', 'ok'], ['b', 'ok'], ['c', 'ok']]);
+
+  // Ordered writes run one at a time, whatever the concurrency, and stop at the first failure
+  const ordered = await storage.insertMany(collection, [
+    { id: 'd', email: 'a@example.com' },
+    { id: 'e', email: 'e@example.com' },
+  ], { concurrency: 4 }).catch(error => error);
+  assert.ok(ordered instanceof BulkWriteError);
+  assert.deepStrictEqual(ordered.result.results.map(({ status }) => status), ['failed', 'skipped']);
+  assert.strictEqual(ordered.errors.length, 1);
+  assert.match(ordered.errors[0].error.message, /Unique constraint violation/);
+  assert.strictEqual(await storage.read(collection, 'e'), null);
+
+  // Unordered writes attempt every item
+  const unordered = await storage.insertMany(collection, [
+    { id: 'd', email: 'a@example.com' },
+    { id: 'e', email: 'e@example.com', team: 'blue', score: 5 },
+  ], { ordered: false }).catch(error => error);
+  assert.ok(unordered instanceof BulkWriteError);
+  assert.strictEqual(unordered.result.insertedCount, 1);
+  assert.deepStrictEqual(unordered.result.results.map(({ status }) => status), ['failed', 'ok']);
+  await settle();
+
+  const updated = await storage.updateMany(collection, { team: 'red' }, { $inc: { score: 10 } }, { concurrency: 2 });
+  assert.strictEqual(updated.updatedCount, 2);
+  assert.deepStrictEqual((await storage.read(collection, 'b')).score, 12);
+  await assert.rejects(storage.updateMany(collection, {}, { score: 0 }), /update operators/);
+  await settle();
+
+  const deleted = await storage.deleteMany(collection, { team: 'blue' });
+  assert.strictEqual(deleted.deletedCount, 2);
+  assert.strictEqual(await storage.read(collection, 'c'), null);
+  await settle();
+  // The unique values of deleted documents can be used again
+  await storage.create(collection, { email: 'c@example.com' }, 'f');
+
+  const mixed = await storage.bulkWrite(collection, [
+    { insertOne: { document: { id: 'g', email: 'g@example.com' } } },
+    { updateOne: { id: 'a', update: { $set: { team: 'green' } } } },
+    { deleteOne: { id: 'b' } },
+  ]);
+  assert.deepStrictEqual(
+    [mixed.insertedCount, mixed.updatedCount, mixed.deletedCount],
+    [1, 1, 1]
+  );
+  assert.strictEqual((await storage.read(collection, 'a')).team, 'green');
+  assert.strictEqual(await storage.read(collection, 'b'), null);
+  await assert.rejects(storage.bulkWrite(collection, [{ replaceOne: {} }]), /Unsupported bulk write operation/);
+
+  // Inserting a taken id fails and keeps the stored document and its unique values
+  const duplicate = await storage.insertMany(collection, [{ id: 'a', email: 'z@example.com' }]).catch(error => error);
+  assert.ok(duplicate instanceof BulkWriteError);
+  assert.match(duplicate.errors[0].error.message, /already exists/);
+  assert.strictEqual(duplicate.result.insertedCount, 0);
+  assert.strictEqual((await storage.read(collection, 'a')).email, 'a@example.com');
+  await settle();
+  await assert.rejects(storage.create(collection, { email: 'a@example.com' }), /Unique constraint violation/);
+  await storage.create(collection, { email: 'z@example.com' }, 'z');
+});
+
+test('listCollections and dropCollection', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'name', { store: 'secondary' });
+  await storage.create(collection, { name: 'Alice' });
+  await settle();
+
+  // Backends may sanitize names (Azure container names are lower case alphanumerics and dashes)
+  const normalize = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const collections = await storage.listCollections();
+  assert.ok(
+    collections.some(name => normalize(name).endsWith(normalize(collection))),
+    `${collection} not in ${collections}`
+  );
+  // The secondary index store is not a collection
+  const store = normalize(StorageAdapter.secondaryIndexContainer(collection));
+  assert.ok(!collections.some(name => normalize(name).endsWith(store)), `${store} listed in ${collections}`);
+  await assert.rejects(storage.find(StorageAdapter.secondaryIndexContainer(collection), {}), /Collection names cannot contain/);
+
+  await storage.dropCollection(collection);
+  await settle();
+  assert.deepStrictEqual(await storage.find(collection, {}), []);
+});
+
+test('update operators modify the stored document and its index tags', async ({ storage, collection, settle }) => {
+  await storage.createIndex(collection, 'score', { type: 'number' });
+  await storage.createIndex(collection, 'handle', { unique: true });
+  const a = await storage.create(collection, {
+    handle: 'alice', score: 10, tags: ['x'], items: [{ sku: 'p1', qty: 1 }, { sku: 'p2', qty: 2 }], address: { city: 'NY' },
+  });
+  const b = await storage.create(collection, { handle: 'bob', score: 3 });
+  await settle();
+
+  await storage.update(collection, a, {
+    $inc: { score: 5, visits: 1 },
+    $set: { 'address.zip': '10001', 'items.0.qty': 4 },
+    $unset: { 'address.city': '' },
+    $push: { tags: { $each: ['y', 'z'] } },
+  });
+  await storage.update(collection, a, { $pull: { items: { sku: 'p2' } }, $mul: { score: 2 }, $addToSet: { tags: 'x' }, $rename: { handle: 'nick' } });
+  await storage.update(collection, a, { $currentDate: { seenAt: true }, $set: { handle: 'alice' }, $pull: { tags: { $in: ['y'] } } });
+  await settle();
+
+  const doc = await storage.read(collection, a);
+  assert.deepStrictEqual(
+    { ...doc, seenAt: undefined },
+    {
+      id: a,
+      handle: 'alice',
+      nick: 'alice',
+      score: 30,
+      visits: 1,
+      tags: ['x', 'z'],
+      items: [{ sku: 'p1', qty: 4 }],
+      address: { zip: '10001' },
+      seenAt: undefined,
+    }
+  );
+  assert.ok(!Number.isNaN(Date.parse(doc.seenAt)));
+
+  // Tags and unique constraints follow the merged document
+  assert.deepStrictEqual((await storage.find(collection, { score: { $gt: 20 } })).map(d => d.id), [a]);
+  await assert.rejects(storage.update(collection, b, { $set: { handle: 'alice' } }), /Unique constraint violation/);
+  await assert.rejects(storage.update(collection, b, { $inc: { handle: 1 } }), /non-numeric/);
+  await assert.rejects(storage.update(collection, b, { $set: { id: 'other' } }), /id field/);
+  await assert.rejects(storage.update(collection, b, { $set: { score: 1 }, handle: 'x' }), /cannot mix/);
+  await assert.rejects(storage.update(collection, b, { $max: { score: 1 } }), /Unsupported update operator \$max/);
+  assert.strictEqual((await storage.read(collection, b)).score, 3);
+
+  // An upsert applies the operators to an empty document
+  const db = new StormiDB(storage);
+  await db.update(collection, 'counter', { $inc: { count: 1 } }, { upsert: true });
+  await db.update(collection, 'counter', { $inc: { count: 1 } }, { upsert: true });
+  assert.deepStrictEqual(await db.findById(collection, 'counter'), { id: 'counter', count: 2 });
+});
+
+test('document versions give optimistic concurrency on update and delete', async ({ storage, collection, settle }) => {
+  const db = new StormiDB(storage);
+  const id = await db.create(collection, { name: 'Alice', visits: 0 });
+  await settle();
+
+  const doc = await db.findById(collection, id);
+  assert.ok(doc._etag);
+  assert.ok(!Object.keys(doc).includes('_etag'));
+  assert.strictEqual((await db.findOne(collection, { name: 'Alice' }))._etag, doc._etag);
+
+  const updated = await db.update(collection, id, { $set: { name: 'Alicia' } }, { ifMatch: doc._etag });
+  assert.strictEqual(updated.name, 'Alicia');
+  assert.notStrictEqual(updated._etag, doc._etag);
+  assert.ok(!JSON.stringify(await db.findById(collection, id)).includes('_etag'));
+
+  // A stale version is rejected and leaves the document alone
+  await assert.rejects(
+    db.update(collection, id, { ...doc, name: 'Stale' }, { ifMatch: doc._etag }),
+    error => error instanceof ConcurrencyError && error.id === id
+  );
+  await assert.rejects(db.delete(collection, id, { ifMatch: doc._etag }), ConcurrencyError);
+  assert.strictEqual((await db.findById(collection, id)).name, 'Alicia');
+
+  // Without ifMatch, concurrent updates are reapplied instead of overwriting each other
+  const retry = { initialDelay: 1, maxDelay: 5, maxRetries: 20 };
+  await Promise.all([1, 2, 3, 4].map(() => db.update(collection, id, { $inc: { visits: 1 } }, { retry })));
+  await Promise.all([1, 2, 3, 4].map(() => db.updateWithRetry(collection, id, current => ({
+    ...current,
+    visits: current.visits + 10,
+  }), { retry })));
+  await settle();
+  const latest = await db.findById(collection, id);
+  assert.strictEqual(latest.visits, 44);
+
+  await db.delete(collection, id, { ifMatch: latest._etag });
+  assert.strictEqual(await db.findById(collection, id), null);
+  await assert.rejects(db.delete(collection, id, { ifMatch: latest._etag }), ConcurrencyError);
+});
+
+test('works behind StormiDB, including upserts', async ({ storage, collection, settle }) => {
+  const db = new StormiDB(storage);
+  const id = await db.create(collection, { name: 'Alice' }, 'alice');
+  await settle();
+
+  assert.strictEqual(id, 'alice');
+  assert.strictEqual((await db.findOne(collection, { name: 'Alice' })).id, 'alice');
+
+  await db.update(collection, 'bob', { name: 'Bob' }, { upsert: true });
+  await db.update(collection, 'bob', { name: 'Robert' }, { upsert: true });
+  await settle();
+  assert.strictEqual((await db.findById(collection, 'bob')).name, 'Robert');
+  assert.strictEqual(await db.countDocuments(collection), 2);
+});
+
+/**
+ * Runs the conformance suite against a storage backend.
+ *
+ * @param {string} name - Label used in the output.
+ * @param {function(): StorageAdapter} createStorage - Returns a storage instance.
+ * @param {object} [options]
+ * @param {function(): Promise} [options.settle] - Awaited after writes.
+ * @param {boolean} [options.cleanup=true] - Drop each test collection afterwards.
+ * @returns {Promise<{ passed: number, failed: number }>}
+ */
+async function runConformanceTests(name, createStorage, options = {}) {
+  const { settle = async () => {}, cleanup = true } = options;
+  const runId = Date.now().toString(36);
+  let passed = 0;
+  let failed = 0;
+
+  console.log(`${name} conformance:`);
+
+  for (const [index, { name: caseName, fn }] of cases.entries()) {
+    const storage = createStorage();
+    const collection = `conformance-${runId}-${index}`;
+
+    try {
+      await fn({ storage, collection, settle });
+      passed++;
+      console.log(`  ok - ${caseName}`);
+    } catch (error) {
+      failed++;
+      console.log(`  not ok - ${caseName}`);
+      console.log(error);
+    } finally {
+      if (cleanup) {
+        await storage.dropCollection(collection).catch(() => {});
+      }
+    }
+  }
+
+  console.log(`  ${passed} passed, ${failed} failed`);
+  return { passed, failed };
+}
+
+module.exports = { runConformanceTests };
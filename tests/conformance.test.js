@@ -0,0 +1,264 @@
+// tests/conformance.test.js
+// Runs the storage conformance suite against every backend available here:
+//   node tests/conformance.test.js
+// Set AZURE_BLOB_STORAGE to include AzureBlobStorage, and S3_BUCKET (with
+// AWS_REGION, and S3_ENDPOINT for S3-compatible servers) to include S3Storage
+// against a real bucket. S3Storage always runs against FakeS3Client.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runConformanceTests } = require('./conformance');
+const { MemoryStorage, FileSystemStorage, AzureBlobStorage, S3Storage } = require('../src');
+
+// MemoryStorage with opaque continuation tokens, like those of Azure: a
+// token it did not issue itself is rejected instead of being resumed from
+class OpaqueTokenStorage extends MemoryStorage {
+  constructor(options) {
+    super(options);
+    this.issuedTokens = new Map();
+  }
+
+  async *listBlobs(collection, options = {}) {
+    const continuationToken = this.resolveToken(options.continuationToken);
+    yield* this.withOpaqueTokens(super.listBlobs(collection, { ...options, continuationToken }));
+  }
+
+  async *findBlobsByTags(collection, tagConditions, options = {}) {
+    const continuationToken = this.resolveToken(options.continuationToken);
+    yield* this.withOpaqueTokens(super.findBlobsByTags(collection, tagConditions, { ...options, continuationToken }));
+  }
+
+  resolveToken(token) {
+    if (token === undefined) {
+      return undefined;
+    }
+    if (!this.issuedTokens.has(token)) {
+      throw new Error(`Foreign continuation token: ${token}`);
+    }
+    return this.issuedTokens.get(token);
+  }
+
+  async *withOpaqueTokens(pages) {
+    for await (const page of pages) {
+      let continuationToken;
+      if (page.continuationToken !== undefined) {
+        continuationToken = `opaque-${this.issuedTokens.size}`;
+        this.issuedTokens.set(continuationToken, page.continuationToken);
+      }
+      yield { ...page, continuationToken };
+    }
+  }
+}
+
+// In-memory stand-in for the S3Client, answering the commands S3Storage sends
+// with the responses and errors of the AWS SDK
+class FakeS3Client {
+  constructor() {
+    this.buckets = new Map();
+    this.etags = 0;
+  }
+
+  async send(command) {
+    const input = command.input;
+
+    switch (command.constructor.name) {
+      case 'CreateBucketCommand':
+        if (this.buckets.has(input.Bucket)) {
+          throw s3Error('BucketAlreadyOwnedByYou', 409);
+        }
+        this.buckets.set(input.Bucket, new Map());
+        return {};
+      case 'HeadBucketCommand':
+        this.bucket(input.Bucket, 'NotFound');
+        return {};
+      case 'DeleteBucketCommand':
+        if (this.bucket(input.Bucket).size > 0) {
+          throw s3Error('BucketNotEmpty', 409);
+        }
+        this.buckets.delete(input.Bucket);
+        return {};
+      case 'ListBucketsCommand':
+        return { Buckets: Array.from(this.buckets.keys(), Name => ({ Name })) };
+      case 'PutObjectCommand':
+        return this.putObject(input);
+      case 'GetObjectCommand': {
+        const object = this.object(input.Bucket, input.Key);
+        return { ETag: object.eTag, Body: { transformToString: async () => object.body } };
+      }
+      case 'DeleteObjectCommand': {
+        const objects = this.bucket(input.Bucket);
+        if (input.IfMatch) {
+          const object = this.object(input.Bucket, input.Key);
+          if (object.eTag !== input.IfMatch) {
+            throw s3Error('PreconditionFailed', 412);
+          }
+        }
+        objects.delete(input.Key);
+        return {};
+      }
+      case 'DeleteObjectsCommand': {
+        const objects = this.bucket(input.Bucket);
+        input.Delete.Objects.forEach(({ Key }) => objects.delete(Key));
+        return { Deleted: input.Delete.Quiet ? [] : input.Delete.Objects, Errors: [] };
+      }
+      case 'GetObjectTaggingCommand':
+        return {
+          TagSet: Object.entries(this.object(input.Bucket, input.Key).tags).map(([Key, Value]) => ({ Key, Value })),
+        };
+      case 'PutObjectTaggingCommand':
+        this.object(input.Bucket, input.Key).tags =
+          Object.fromEntries(input.Tagging.TagSet.map(({ Key, Value }) => [Key, Value]));
+        return {};
+      case 'ListObjectsV2Command':
+        return this.listObjects(input);
+      default:
+        throw new Error(`FakeS3Client does not support ${command.constructor.name}`);
+    }
+  }
+
+  bucket(name, notFound = 'NoSuchBucket') {
+    if (!this.buckets.has(name)) {
+      throw s3Error(notFound, 404);
+    }
+    return this.buckets.get(name);
+  }
+
+  object(bucket, key) {
+    const object = this.bucket(bucket).get(key);
+    if (!object) {
+      throw s3Error('NoSuchKey', 404);
+    }
+    return object;
+  }
+
+  putObject(input) {
+    const objects = this.bucket(input.Bucket);
+    const existing = objects.get(input.Key);
+    if ((input.IfNoneMatch === '*' && existing) || (input.IfMatch && (!existing || existing.eTag !== input.IfMatch))) {
+      throw s3Error('PreconditionFailed', 412);
+    }
+
+    const eTag = `"${++this.etags}"`;
+    const tags = Object.fromEntries(new URLSearchParams(input.Tagging || ''));
+    objects.set(input.Key, { body: input.Body, eTag, tags });
+    return { ETag: eTag };
+  }
+
+  // Continuation tokens are the last key of the previous page
+  listObjects(input) {
+    const prefix = input.Prefix || '';
+    const maxKeys = input.MaxKeys || 1000;
+    const keys = Array.from(this.bucket(input.Bucket).keys())
+      .filter(key => key.startsWith(prefix) && (!input.ContinuationToken || key > input.ContinuationToken))
+      .sort();
+
+    const contents = [];
+    const commonPrefixes = new Set();
+    let lastKey;
+    for (const key of keys) {
+      const delimiterIndex = input.Delimiter ? key.indexOf(input.Delimiter, prefix.length) : -1;
+      if (delimiterIndex !== -1) {
+        commonPrefixes.add(key.substring(0, delimiterIndex + 1));
+        continue;
+      }
+      if (contents.length === maxKeys) {
+        return {
+          Contents: contents,
+          CommonPrefixes: Array.from(commonPrefixes, Prefix => ({ Prefix })),
+          IsTruncated: true,
+          NextContinuationToken: lastKey,
+        };
+      }
+      contents.push({ Key: key });
+      lastKey = key;
+    }
+
+    return { Contents: contents, CommonPrefixes: Array.from(commonPrefixes, Prefix => ({ Prefix })), IsTruncated: false };
+  }
+}
+
+function s3Error(name, statusCode) {
+  const error = new Error(name);
+  error.name = name;
+  error.$metadata = { httpStatusCode: statusCode };
+  return error;
+}
+
+// Index entries left behind by a failed write must not match the object
+async function testStaleS3IndexEntries() {
+  const storage = new S3Storage({}, { client: new FakeS3Client(), bucket: 'stale', verbose: false });
+  await storage.createIndex('users', 'city');
+  const id = await storage.create('users', { city: 'NY' });
+
+  const writeIndexEntries = storage.writeIndexEntries;
+  storage.writeIndexEntries = async () => {
+    throw new Error('Connection reset');
+  };
+  await assert.rejects(storage.update('users', id, { city: 'LA' }), /Connection reset/);
+  storage.writeIndexEntries = writeIndexEntries;
+
+  assert.deepStrictEqual(await storage.find('users', { city: 'NY' }), []);
+  assert.strictEqual(await storage.countDocuments('users', { city: 'NY' }), 0);
+  console.log('S3Storage stale index entries test passed.');
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const results = [];
+
+  results.push(await runConformanceTests('MemoryStorage', () => new MemoryStorage({ verbose: false })));
+  results.push(await runConformanceTests('OpaqueTokenStorage', () => new OpaqueTokenStorage({ verbose: false })));
+
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stormidb-'));
+  try {
+    results.push(await runConformanceTests(
+      'FileSystemStorage',
+      () => new FileSystemStorage(rootDir, { verbose: false })
+    ));
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+
+  const client = new FakeS3Client();
+  results.push(await runConformanceTests(
+    'S3Storage (bucket per collection)',
+    () => new S3Storage({}, { client, verbose: false })
+  ));
+  results.push(await runConformanceTests(
+    'S3Storage (shared bucket)',
+    () => new S3Storage({}, { client, bucket: 'stormidb', verbose: false })
+  ));
+  await testStaleS3IndexEntries();
+
+  if (process.env.S3_BUCKET) {
+    results.push(await runConformanceTests(
+      'S3Storage',
+      () => new S3Storage(
+        { region: process.env.AWS_REGION, endpoint: process.env.S3_ENDPOINT, forcePathStyle: Boolean(process.env.S3_ENDPOINT) },
+        { bucket: process.env.S3_BUCKET, verbose: false }
+      )
+    ));
+  }
+
+  if (process.env.AZURE_BLOB_STORAGE) {
+    results.push(await runConformanceTests(
+      'AzureBlobStorage',
+      () => new AzureBlobStorage(process.env.AZURE_BLOB_STORAGE, { verbose: false }),
+      { settle: () => sleep(5000) } // Blob index tags are eventually consistent
+    ));
+  }
+
+  if (results.some(result => result.failed > 0)) {
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+// tests/filesystem.test.js
+// Runs offline against FileSystemStorage: node tests/filesystem.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StormiDB, FileSystemStorage } = require('../src');
+
+async function main() {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stormidb-'));
+
+  try {
+    const db = new StormiDB(new FileSystemStorage(rootDir, { verbose: false }));
+    const collectionName = 'users';
+
+    await db.createIndex(collectionName, 'email', { unique: true });
+    await db.createIndex(collectionName, 'age');
+
+    const userId1 = await db.create(collectionName, { name: 'Alice', email: 'alice@example.com', age: 30 });
+    const userId2 = await db.create(collectionName, { name: 'Bob', email: 'bob@example.com', age: 25, city: 'Paris' });
+
+    // Documents are plain JSON files inside the collection directory
+    const file = path.join(rootDir, collectionName, `${userId1}.json`);
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).name, 'Alice');
+
+    await assert.rejects(
+      db.create(collectionName, { name: 'Alice 2', email: 'alice@example.com' }),
+      /Unique constraint violation/
+    );
+
+    // A fresh instance sees the persisted documents and index definitions
+    const reopened = new StormiDB(new FileSystemStorage(rootDir, { verbose: false }));
+    assert.deepStrictEqual(
+      (await reopened.find(collectionName, { age: { $gte: 30 } })).map(u => u.id),
+      [userId1]
+    );
+    assert.deepStrictEqual(
+      (await reopened.find(collectionName, { city: 'Paris' })).map(u => u.id),
+      [userId2]
+    );
+    await assert.rejects(
+      reopened.create(collectionName, { email: 'bob@example.com' }),
+      /Unique constraint violation/
+    );
+
+    // Index definitions use version stamps: a stale writer is detected and createIndex retries
+    const storageA = new FileSystemStorage(rootDir, { verbose: false });
+    const storageB = new FileSystemStorage(rootDir, { verbose: false });
+    await storageA.loadIndexDefinitions(collectionName);
+    await storageB.loadIndexDefinitions(collectionName);
+    await storageA.createIndex(collectionName, 'name');
+
+    const staleDefs = await storageB.loadIndexDefinitions(collectionName);
+    staleDefs.indexedFields.add('city');
+    await assert.rejects(
+      storageB.saveIndexDefinitions(collectionName, staleDefs),
+      /Concurrent modification detected/
+    );
+
+    await Promise.all([
+      storageA.createIndex(collectionName, 'city', { retry: { initialDelay: 1 } }),
+      storageB.createIndex(collectionName, 'country', { retry: { initialDelay: 1 } }),
+    ]);
+    const merged = await new FileSystemStorage(rootDir, { verbose: false }).loadIndexDefinitions(collectionName);
+    assert.deepStrictEqual(
+      Array.from(merged.indexes.keys()).sort(),
+      ['age', 'city', 'country', 'email', 'name']
+    );
+
+    await db.update(collectionName, userId2, { name: 'Bob', email: 'bob@example.com', age: 26 });
+    assert.strictEqual((await reopened.findById(collectionName, userId2)).age, 26);
+
+    await db.delete(collectionName, userId1);
+    assert.strictEqual(await db.countDocuments(collectionName, {}), 1);
+
+    assert.deepStrictEqual(await db.getCollections(), [collectionName]);
+    await db.dropCollection(collectionName);
+    assert.deepStrictEqual(await db.getCollections(), []);
+
+    console.log('FileSystemStorage tests passed.');
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
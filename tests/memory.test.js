@@ -0,0 +1,107 @@
+// tests/memory.test.js
+// Runs offline against MemoryStorage: node tests/memory.test.js
+
+const assert = require('assert');
+const { StormiDB, MemoryStorage } = require('../src');
+
+async function main() {
+  const db = new StormiDB(new MemoryStorage({ verbose: false }));
+  const collectionName = 'users';
+
+  // Create indexes
+  await db.createIndex(collectionName, 'email', { unique: true });
+  await db.createIndex(collectionName, 'age');
+  await db.createIndex(collectionName, 'firstName');
+
+  const userId1 = await db.create(collectionName, {
+    firstName: 'John_Doe', // Includes underscore
+    email: 'john.doe@example.com',
+    age: 30,
+    city: 'New York',
+    createdAt: new Date('2022-01-15T10:00:00Z'),
+  });
+  const userId2 = await db.create(collectionName, {
+    firstName: 'Jane',
+    email: 'jane.smith@example.com',
+    age: 25,
+    city: 'Chicago',
+  });
+  const userId3 = await db.create(collectionName, {
+    firstName: 'Alice',
+    email: 'alice.johnson@example.com',
+    age: 28,
+    city: 'New York',
+  });
+
+  // Duplicate email is rejected
+  await assert.rejects(
+    db.create(collectionName, { firstName: 'Jim', email: 'john.doe@example.com' }),
+    /Unique constraint violation/
+  );
+
+  // Read by id returns a copy with dates serialized like a blob upload
+  const user1 = await db.findById(collectionName, userId1);
+  assert.strictEqual(user1.id, userId1);
+  assert.strictEqual(user1.createdAt, '2022-01-15T10:00:00.000Z');
+  assert.strictEqual(await db.findById(collectionName, 'missing'), null);
+
+  // Tag-based queries
+  assert.deepStrictEqual(
+    (await db.find(collectionName, { firstName: 'John_Doe' })).map(u => u.id),
+    [userId1]
+  );
+  assert.deepStrictEqual(
+    (await db.find(collectionName, { age: { $gt: 27 } })).map(u => u.id),
+    [userId1, userId3]
+  );
+
+  // Indexed and non-indexed conditions combined
+  assert.deepStrictEqual(
+    (await db.find(collectionName, { age: 30, city: 'Chicago' })).map(u => u.id),
+    []
+  );
+
+  // Full scan on a non-indexed field
+  assert.deepStrictEqual(
+    (await db.find(collectionName, { city: 'New York' })).map(u => u.id),
+    [userId1, userId3]
+  );
+
+  // Pagination in creation order
+  assert.deepStrictEqual(
+    (await db.find(collectionName, {}, { offset: 1, limit: 1 })).map(u => u.id),
+    [userId2]
+  );
+  assert.strictEqual((await db.findOne(collectionName, { age: 25 })).id, userId2);
+
+  // Updating the unique field releases the old value
+  await db.update(collectionName, userId1, { ...user1, email: 'johnny.doe@example.com', age: 31 });
+  await assert.rejects(
+    db.create(collectionName, { firstName: 'Jack', email: 'johnny.doe@example.com' }),
+    /Unique constraint violation/
+  );
+  const jackId = await db.create(collectionName, { firstName: 'Jack', email: 'john.doe@example.com' });
+  await assert.rejects(db.update(collectionName, 'missing', {}), /does not exist/);
+
+  // Upsert creates the document with the requested id
+  await db.update(collectionName, 'custom-id', { firstName: 'Upserted' }, { upsert: true });
+  assert.strictEqual((await db.findById(collectionName, 'custom-id')).firstName, 'Upserted');
+
+  // Delete and count
+  await db.delete(collectionName, userId2);
+  await db.delete(collectionName, jackId);
+  await db.delete(collectionName, 'custom-id');
+  assert.strictEqual(await db.countDocuments(collectionName, {}), 2);
+  assert.strictEqual(await db.countDocuments(collectionName, { city: 'New York' }), 2);
+
+  assert.deepStrictEqual(await db.getCollections(), [collectionName]);
+  await db.dropCollection(collectionName);
+  assert.deepStrictEqual(await db.getCollections(), []);
+
+  console.log('MemoryStorage tests passed.');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});